@@ -0,0 +1,277 @@
+const path = require('path');
+const url = require('url');
+const { EOL } = require('os');
+const got = require('got');
+const retry = require('async-retry');
+const globby = require('globby');
+const _ = require('lodash');
+const Release = require('./release');
+const { format, logPreview, getMultipartBody } = require('./util');
+const { debugBitbucket: debug } = require('./debug');
+const { bitbucket: defaults } = require('../conf/release-it.json');
+
+const noop = Promise.resolve();
+
+const NO_RETRIES_NEEDED = [400, 401, 403, 404, 422];
+
+const CLOUD_HOST = 'bitbucket.org';
+const CLOUD_API_URL = 'https://api.bitbucket.org/2.0';
+const MULTIPART_BOUNDARY = 'release-it-bitbucket-upload';
+
+const scpRemoteRe = /^([^@/]+@)?([^:/]+):(?!\/\/)(.+)$/;
+const commitHashRe = /(^|[\s(])([0-9a-f]{7,40})(?=[\s),]|$)/m;
+
+const prompts = {
+  bbRelease: {
+    type: 'confirm',
+    message: context => `Publish release notes on Bitbucket (${format(context.git.tagName, context)})?`
+  }
+};
+
+const parseServerRemote = remoteUrl => {
+  const normalizedUrl = (remoteUrl || '').replace(scpRemoteRe, 'ssh://$1$2/$3');
+  const { protocol, host, hostname, pathname } = url.parse(normalizedUrl);
+  const parts = _.compact((pathname || '').replace(/\.git$/, '').split('/'));
+  const [project, slug] = parts.slice(-2);
+  const isHttp = /^https?:$/.test(protocol);
+  const contextPath = isHttp ? parts.slice(0, Math.max(parts.lastIndexOf('scm'), 0)) : [];
+  const baseUrl = isHttp ? [`${protocol}//${host}`, ...contextPath].join('/') : `https://${hostname}`;
+  return { baseUrl, project, slug };
+};
+
+class Bitbucket extends Release {
+  constructor(...args) {
+    super(...args);
+    this.type = 'Bitbucket';
+    this.namespace = 'bitbucket';
+    this.options = _.defaults(this.options, defaults);
+    this.registerPrompts(prompts);
+    this.uploads = [];
+    this.setUrls();
+  }
+
+  get isCloud() {
+    return this.repo.host === CLOUD_HOST;
+  }
+
+  setUrls() {
+    if (this.isCloud) {
+      const { owner, project } = this.repo;
+      this.apiUrl = `${CLOUD_API_URL}/repositories/${owner}/${project}`;
+      this.webUrl = `https://${CLOUD_HOST}/${owner}/${project}`;
+    } else {
+      const { baseUrl, project, slug } = parseServerRemote(this.options.remoteUrl);
+      const host = _.trimEnd(this.options.host || baseUrl, '/');
+      this.apiUrl = `${host}/rest/api/1.0/projects/${project}/repos/${slug}`;
+      this.webUrl = `${host}/projects/${project}/repos/${slug}`;
+    }
+  }
+
+  getCommitUrl(hash) {
+    return `${this.webUrl}/commits/${hash}`;
+  }
+
+  getIssueUrl(id) {
+    return `${this.webUrl}/issues/${id}`;
+  }
+
+  getPullRequestUrl(id) {
+    return `${this.webUrl}/pull-requests/${id}`;
+  }
+
+  getCompareUrl(from, to) {
+    const getRef = name => (name === 'HEAD' ? name : `refs%2Ftags%2F${name}`);
+    return this.isCloud
+      ? `${this.webUrl}/branches/compare/${to}%0D${from}`
+      : `${this.webUrl}/compare/diff?sourceBranch=${getRef(to)}&targetBranch=${getRef(from)}`;
+  }
+
+  linkReferences(notes, commits = []) {
+    const hashes = _.map(commits, 'hash');
+    return (notes || '')
+      .replace(new RegExp(commitHashRe.source, 'gm'), (match, prefix, hash) => {
+        const commitHash = _.find(hashes, commitHash => _.startsWith(commitHash, hash));
+        return commitHash ? `${prefix}[${hash.slice(0, 7)}](${this.getCommitUrl(commitHash)})` : match;
+      })
+      .replace(/(^|[^[\w/])((?:pull request|PR) )?#(\d+)\b(?!\])/gim, (match, prefix, pullRequest, id) => {
+        if (pullRequest) return `${prefix}[${pullRequest}#${id}](${this.getPullRequestUrl(id)})`;
+        return this.isCloud ? `${prefix}[#${id}](${this.getIssueUrl(id)})` : match;
+      });
+  }
+
+  async getNotes(...args) {
+    const notes = await super.getNotes(...args);
+    if (!commitHashRe.test(notes)) return this.linkReferences(notes);
+    const { latestTag, dir } = this.config.getOptions();
+    const commits = await this.changelogs.getCommits(latestTag, { path: dir });
+    return this.linkReferences(notes, commits);
+  }
+
+  async getNotesContext(...args) {
+    const context = await super.getNotesContext(...args);
+    const { latestTag, tagName } = context;
+    return Object.assign(context, { compareUrl: latestTag ? this.getCompareUrl(latestTag, tagName) : null });
+  }
+
+  getAuthorization() {
+    const { token } = this;
+    return _.includes(token, ':') ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}`;
+  }
+
+  request(endpoint, options) {
+    const requestUrl = `${this.apiUrl}${endpoint}`;
+    const headers = Object.assign(
+      {
+        'user-agent': 'webpro/release-it',
+        authorization: this.getAuthorization()
+      },
+      options.headers
+    );
+    const requestOptions = Object.assign({ json: true, timeout: this.options.timeout || undefined }, options, {
+      headers
+    });
+    return retry(
+      async bail => {
+        try {
+          debug(Object.assign({ url: requestUrl }, _.omit(requestOptions, ['body'])));
+          const response = await got(requestUrl, requestOptions);
+          debug(response.body);
+          return response.body;
+        } catch (err) {
+          debug(err);
+          if (_.includes(NO_RETRIES_NEEDED, err.statusCode)) {
+            return bail(err);
+          }
+          throw err;
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  async release() {
+    const { release, assets } = this.options;
+    const { version, changelog } = this.config.getOptions();
+
+    release &&
+      this.hasCustomNotes &&
+      logPreview(this.log, 'release notes', await this.getNotes({ version, changelog }), EOL);
+
+    const task = () => this.createRelease({ version, changelog });
+    await this.step({ enabled: release, task, label: 'Bitbucket release notes', prompt: 'bbRelease', id: 'release' });
+    await this.step({
+      enabled: release && assets,
+      task: () => this.uploadAssets(),
+      label: 'Bitbucket upload assets',
+      id: 'assets'
+    });
+  }
+
+  getCommitHash(tagName) {
+    return this.shell.run(`git rev-list -n 1 ${tagName}`).catch(() => this.shell.run('git rev-parse HEAD'));
+  }
+
+  async createRelease({ version, changelog }) {
+    const context = Object.assign(this.getContext(), { version });
+    const tagName = format(this.options.tagName, context);
+    const notes = await this.getNotes({ version, changelog });
+    const commitHash = await this.getCommitHash(tagName);
+
+    this.log.exec(`bitbucket commits#createComment (${tagName})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      this.releaseUrl = this.getCommitUrl(commitHash);
+      this.isReleased = true;
+      return noop;
+    }
+
+    const endpoint = this.isCloud ? `/commit/${commitHash}/comments` : `/commits/${commitHash}/comments`;
+    const body = this.isCloud ? { content: { raw: notes } } : { text: notes };
+    const comment = await this.request(endpoint, { method: 'POST', body });
+
+    this.log.verbose(`bitbucket commits#createComment: done (${comment.id})`);
+    this.releaseUrl = this.getCommitUrl(commitHash);
+    this.isReleased = true;
+    this.comment = { id: comment.id, version: comment.version, commitHash };
+    this.setState({ isReleased: true, comment: this.comment, releaseUrl: this.releaseUrl });
+    return comment;
+  }
+
+  async uploadAsset(filePath) {
+    const name = path.basename(filePath);
+    this.log.exec(`bitbucket downloads#upload ${name}`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return noop;
+    }
+
+    await this.request('/downloads', {
+      method: 'POST',
+      json: false,
+      headers: { 'content-type': `multipart/form-data; boundary=${MULTIPART_BOUNDARY}` },
+      body: getMultipartBody({ boundary: MULTIPART_BOUNDARY, field: 'files', file: filePath })
+    });
+    this.log.verbose(`bitbucket downloads#upload: done (${name})`);
+    this.uploads.push(name);
+    this.setState({ uploads: this.uploads });
+  }
+
+  async uploadAssets() {
+    const { assets } = this.options;
+
+    if (!this.isCloud) {
+      this.log.warn('Bitbucket Server does not have a Downloads section. Skipping the upload of assets.');
+      return;
+    }
+
+    const files = await globby(assets);
+
+    if (!files.length) {
+      this.log.warn(`bitbucket downloads#upload: assets not found (glob "${assets}" relative to ${process.cwd()})`);
+      return;
+    }
+
+    for (const file of files) {
+      await this.uploadAsset(file);
+    }
+  }
+
+  async rollback() {
+    const requests = [];
+
+    if (this.isReleased && this.comment) {
+      const { id, version, commitHash } = this.comment;
+      const endpoint = this.isCloud
+        ? `/commit/${commitHash}/comments/${id}`
+        : `/commits/${commitHash}/comments/${id}?version=${version}`;
+      requests.push({ label: 'commits#deleteComment', endpoint });
+    }
+
+    for (const name of this.uploads) {
+      requests.push({ label: `downloads#delete ${name}`, endpoint: `/downloads/${encodeURIComponent(name)}` });
+    }
+
+    for (const { label, endpoint } of requests) {
+      this.log.undo(`bitbucket ${label}`);
+      if (this.options.isDryRun) {
+        this.log.dry();
+        continue;
+      }
+      try {
+        await this.request(endpoint, { method: 'DELETE', json: false });
+      } catch (err) {
+        debug(err);
+        this.log.warn(`Could not undo Bitbucket ${label} (${err.statusCode || err.message})`);
+      }
+    }
+
+    this.isReleased = false;
+    this.uploads = [];
+  }
+}
+
+module.exports = Bitbucket;
@@ -0,0 +1,192 @@
+const _ = require('lodash');
+const Scheme = require('./scheme');
+
+const DEFAULT_FORMAT = 'YYYY.MM.MICRO';
+
+const tokenRe = /YYYY|YY|0Y|MM|0M|WW|0W|DD|0D|MICRO|N/g;
+const counterTokens = ['MICRO', 'N'];
+const weekTokens = ['WW', '0W'];
+
+const pad = value => _.padStart(value, 2, '0');
+
+const dateTokens = {
+  YYYY: { pattern: '\\d{4}', value: ({ year }) => year },
+  YY: { pattern: '\\d+', value: ({ year }) => year - 2000 },
+  '0Y': { pattern: '\\d{2,}', value: ({ year }) => year - 2000, pad: true },
+  MM: { pattern: '\\d{1,2}', value: ({ month }) => month, range: [1, 12] },
+  '0M': { pattern: '\\d{2}', value: ({ month }) => month, range: [1, 12], pad: true },
+  WW: { pattern: '\\d{1,2}', value: ({ week }) => week, range: [1, 53] },
+  '0W': { pattern: '\\d{2}', value: ({ week }) => week, range: [1, 53], pad: true },
+  DD: { pattern: '\\d{1,2}', value: ({ day }) => day, range: [1, 31] },
+  '0D': { pattern: '\\d{2}', value: ({ day }) => day, range: [1, 31], pad: true }
+};
+
+const getISOWeek = date => {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return { year: d.getUTCFullYear(), week: Math.ceil(((d - yearStart) / 86400000 + 1) / 7) };
+};
+
+const compareIdentifiers = (a, b) => {
+  const isNumA = /^\d+$/.test(a);
+  const isNumB = /^\d+$/.test(b);
+  if (isNumA && isNumB) return Math.sign(a - b);
+  if (isNumA) return -1;
+  if (isNumB) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const comparePreRelease = (a, b) => {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const result = compareIdentifiers(String(a[i]), String(b[i]));
+    if (result) return result;
+  }
+  return 0;
+};
+
+const incPreRelease = (preRelease, preReleaseId) => {
+  if (!preRelease || (preReleaseId && preRelease[0] !== preReleaseId)) {
+    return preReleaseId ? [preReleaseId, 0] : [0];
+  }
+  const last = _.last(preRelease);
+  return /^\d+$/.test(last) ? [..._.initial(preRelease), Number(last) + 1] : [...preRelease, 0];
+};
+
+class CalVer extends Scheme {
+  constructor(options) {
+    super(Object.assign({ name: 'calver' }, options));
+    this.format = this.format || DEFAULT_FORMAT;
+    this.parts = this.parseFormat(this.format);
+    this.tokens = this.parts.filter(part => part.token).map(part => part.token);
+    this.hasCounter = _.some(this.tokens, token => _.includes(counterTokens, token));
+    this.isWeekBased = _.some(this.tokens, token => _.includes(weekTokens, token));
+    const pattern = this.parts
+      .map(({ token, literal }) =>
+        token ? `(${_.get(dateTokens, [token, 'pattern'], '\\d+')})` : _.escapeRegExp(literal)
+      )
+      .join('');
+    this.versionRe = new RegExp(`^v?${pattern}(?:-([0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*))?$`);
+  }
+
+  get releaseTypes() {
+    return ['calendar'];
+  }
+
+  get preReleaseTypes() {
+    return ['precalendar'];
+  }
+
+  get continuationTypes() {
+    return ['prerelease'];
+  }
+
+  get aliases() {
+    return {
+      patch: 'calendar',
+      minor: 'calendar',
+      major: 'calendar',
+      prepatch: 'precalendar',
+      preminor: 'precalendar',
+      premajor: 'precalendar'
+    };
+  }
+
+  parseFormat(format) {
+    const parts = [];
+    let lastIndex = 0;
+    format.replace(tokenRe, (token, index) => {
+      if (index > lastIndex) parts.push({ literal: format.slice(lastIndex, index) });
+      parts.push({ token });
+      lastIndex = index + token.length;
+    });
+    if (lastIndex < format.length) parts.push({ literal: format.slice(lastIndex) });
+    return parts;
+  }
+
+  parse(version) {
+    const match = this.versionRe.exec(version);
+    if (!match) return null;
+    const values = this.tokens.map((token, index) => Number(match[index + 1]));
+    const isInRange = this.tokens.every((token, index) => {
+      const range = _.get(dateTokens, [token, 'range']);
+      return !range || _.inRange(values[index], range[0], range[1] + 1);
+    });
+    if (!isInRange) return null;
+    const preRelease = match[this.tokens.length + 1];
+    return {
+      values,
+      counter: this.hasCounter ? values[_.findIndex(this.tokens, token => _.includes(counterTokens, token))] : null,
+      preRelease: preRelease ? preRelease.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : null
+    };
+  }
+
+  getDateValues(date = new Date()) {
+    const { year, week } = getISOWeek(date);
+    const parts = {
+      year: this.isWeekBased ? year : date.getFullYear(),
+      month: date.getMonth() + 1,
+      week,
+      day: date.getDate()
+    };
+    return this.tokens.map(token => (dateTokens[token] ? dateTokens[token].value(parts) : null));
+  }
+
+  isSamePeriod(parsed, dateValues) {
+    return this.tokens.every((token, index) => !dateTokens[token] || parsed.values[index] === dateValues[index]);
+  }
+
+  render(dateValues, counter, preRelease) {
+    const version = this.parts
+      .map(({ token, literal }) => {
+        if (!token) return literal;
+        if (_.includes(counterTokens, token)) return counter;
+        const value = dateValues[this.tokens.indexOf(token)];
+        return dateTokens[token].pad ? pad(value) : value;
+      })
+      .join('');
+    return preRelease ? `${version}-${preRelease.join('.')}` : version;
+  }
+
+  compare(a, b) {
+    const versionA = this.parse(a);
+    const versionB = this.parse(b);
+    if (!versionA || !versionB) return versionA ? 1 : versionB ? -1 : 0;
+    for (let i = 0; i < versionA.values.length; i++) {
+      if (versionA.values[i] !== versionB.values[i]) return Math.sign(versionA.values[i] - versionB.values[i]);
+    }
+    return comparePreRelease(versionA.preRelease, versionB.preRelease);
+  }
+
+  inc(version, type, preReleaseId) {
+    const latest = this.parse(version);
+    const dateValues = this.getDateValues();
+    const isSamePeriod = Boolean(latest) && this.isSamePeriod(latest, dateValues);
+    const isLatestPreRelease = isSamePeriod && Boolean(latest.preRelease);
+    const nextCounter = isSamePeriod ? latest.counter + 1 : 0;
+
+    if (type === 'calendar' && isLatestPreRelease) {
+      return this.render(dateValues, latest.counter);
+    }
+    if (type === 'prerelease' && isLatestPreRelease) {
+      return this.render(dateValues, latest.counter, incPreRelease(latest.preRelease, preReleaseId));
+    }
+    if (isSamePeriod && !this.hasCounter) {
+      return null;
+    }
+    if (type === 'calendar') {
+      return this.render(dateValues, nextCounter);
+    }
+    if (type === 'precalendar' || type === 'prerelease') {
+      return this.render(dateValues, nextCounter, incPreRelease(null, preReleaseId));
+    }
+    return null;
+  }
+}
+
+module.exports = CalVer;
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const { EOL } = require('os');
+const _ = require('lodash');
+const Plugin = require('./plugin');
+const { format, getDate } = require('./util');
+const { debugChangelogFile: debug } = require('./debug');
+const { changelogFile: defaults } = require('../conf/release-it.json');
+
+const KEEP_A_CHANGELOG_HEADER = [
+  '# Changelog',
+  '',
+  'All notable changes to this project will be documented in this file.',
+  '',
+  'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/).'
+].join(EOL);
+
+const CONVENTIONAL_HEADER = '# Changelog';
+
+const unreleasedRe = /^## \[?Unreleased\]?/i;
+const unreleasedLinkRe = /^\[Unreleased\]:/i;
+const sectionRe = /^(## |# \[?v?\d)/;
+const linkRe = /^\[[^\]]+\]: /;
+
+const trimLines = lines => _.dropRightWhile(_.dropWhile(lines, _.isEmpty), _.isEmpty);
+
+const insertAt = (lines, index, section) => {
+  const before = _.dropRightWhile(lines.slice(0, index), _.isEmpty);
+  const after = lines.slice(index);
+  return [...before, '', ...section, '', ...after];
+};
+
+class ChangelogFile extends Plugin {
+  constructor(...args) {
+    super(...args);
+    this.namespace = 'changelogFile';
+    this.options = _.defaults(this.options, defaults);
+    this.gitClient = this.options.gitClient;
+    this.providerClients = this.options.providerClients || [];
+  }
+
+  getProviderClient() {
+    const host = _.get(this.gitClient, 'repo.host');
+    const clients = _.filter(this.providerClients, client => _.isFunction(client.getCompareUrl));
+    return (
+      _.find(clients, client => client.options.release) || _.find(clients, client => _.includes(host, client.namespace))
+    );
+  }
+
+  getCompareUrl(from, to) {
+    const repo = _.get(this.gitClient, 'repo');
+    if (!this.options.compareLinks || !from || !_.get(repo, 'host') || !_.get(repo, 'repository')) return null;
+    const providerClient = this.getProviderClient();
+    if (providerClient) return providerClient.getCompareUrl(from, to);
+    return `https://${repo.host}/${repo.repository}/compare/${from}...${to}`;
+  }
+
+  getTagName() {
+    const context = this.config.getOptions();
+    return format(context.git.tagName, context);
+  }
+
+  read() {
+    const { file } = this.options;
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      debug(err);
+      return null;
+    }
+  }
+
+  async write(changelog) {
+    const { file, format: changelogFormat } = this.options;
+    const contents = this.read();
+    const lines = contents ? contents.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+    const notes = _.trim(changelog || '');
+    const updated =
+      changelogFormat === 'conventional'
+        ? this.writeConventional(lines, notes)
+        : this.writeKeepAChangelog(lines, notes);
+    this.log.exec('write', file);
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return;
+    }
+    fs.writeFileSync(file, updated.join(EOL) + EOL);
+    await this.gitClient.stage(file);
+  }
+
+  writeKeepAChangelog(existingLines, notes) {
+    const { version } = this.config.getOptions();
+    const latestTag = this.gitClient.latestTag;
+    const tagName = this.getTagName();
+    let lines = existingLines.length ? existingLines : [...KEEP_A_CHANGELOG_HEADER.split(EOL), '', '## [Unreleased]'];
+
+    const unreleasedIndex = _.findIndex(lines, line => unreleasedRe.test(line));
+    const nextIndex = _.findIndex(lines, line => sectionRe.test(line) || linkRe.test(line), unreleasedIndex + 1);
+    const endIndex = nextIndex === -1 ? lines.length : nextIndex;
+    const unreleasedNotes = unreleasedIndex === -1 ? [] : trimLines(lines.slice(unreleasedIndex + 1, endIndex));
+    const body = unreleasedNotes.length ? unreleasedNotes : notes ? notes.split(EOL) : [];
+    const section = [`## [${version}] - ${getDate()}`, ...(body.length ? ['', ...body] : [])];
+
+    if (unreleasedIndex === -1) {
+      const index = _.findIndex(lines, line => sectionRe.test(line) || linkRe.test(line));
+      lines = insertAt(lines, index === -1 ? lines.length : index, section);
+    } else {
+      lines = [...lines.slice(0, unreleasedIndex + 1), '', ...section, '', ...lines.slice(endIndex)];
+    }
+
+    const unreleasedUrl = this.getCompareUrl(tagName, 'HEAD');
+    const versionUrl = this.getCompareUrl(latestTag, tagName);
+    const unreleasedLink = unreleasedUrl && `[Unreleased]: ${unreleasedUrl}`;
+    const versionLink = versionUrl && `[${version}]: ${versionUrl}`;
+    const unreleasedLinkIndex = _.findIndex(lines, line => unreleasedLinkRe.test(line));
+    if (unreleasedLinkIndex !== -1) {
+      lines.splice(unreleasedLinkIndex, 1, unreleasedLink || lines[unreleasedLinkIndex], ..._.compact([versionLink]));
+    } else {
+      const links = _.compact([unreleasedIndex !== -1 && unreleasedLink, versionLink]);
+      const linkIndex = _.findIndex(lines, line => linkRe.test(line));
+      if (links.length && linkIndex === -1) {
+        lines = [..._.dropRightWhile(lines, _.isEmpty), '', ...links];
+      } else if (links.length) {
+        lines.splice(linkIndex, 0, ...links);
+      }
+    }
+
+    return _.dropRightWhile(lines, _.isEmpty);
+  }
+
+  writeConventional(existingLines, notes) {
+    const { version } = this.config.getOptions();
+    const url = this.getCompareUrl(this.gitClient.latestTag, this.getTagName());
+    const heading = url ? `## [${version}](${url}) (${getDate()})` : `## ${version} (${getDate()})`;
+    const section = [heading, ...(notes ? ['', ...notes.split(EOL)] : [])];
+    const lines = existingLines.length ? existingLines : [CONVENTIONAL_HEADER];
+    const index = _.findIndex(lines, line => sectionRe.test(line));
+    return _.dropRightWhile(insertAt(lines, index === -1 ? lines.length : index, section), _.isEmpty);
+  }
+}
+
+module.exports = ChangelogFile;
@@ -1,24 +1,59 @@
 const _ = require('lodash');
+const conventionalChangelog = require('conventional-changelog');
 const Shell = require('./shell');
 
 const noop = Promise.resolve();
 
+const conventionalRe = /^conventional:(.+)$/;
+
+const COMMIT_FORMAT = ['%H', '%h', '%an', '%ae', '%s', '%b'].join('%x1f') + '%x1e';
+
+const parseCommits = stdout =>
+  _.compact(_.split(stdout, '\x1e').map(_.trim)).map(commit => {
+    const [hash, abbrevHash, name, email, subject, body] = commit.split('\x1f');
+    return { hash, abbrevHash, author: { name, email }, subject, body: _.trim(body) };
+  });
+
 class Changelog {
   constructor(options = {}) {
     this.shell = options.shell || new Shell();
-    this.create = _.memoize(this.create);
+    this.create = _.memoize(this.create, (...args) => JSON.stringify(args));
+    this.getCommits = _.memoize(this.getCommits, (...args) => JSON.stringify(args));
   }
-  create(command, latestTag) {
+  create(command, latestTag, options = {}) {
     if (command) {
       if (/^git log/.test(command)) {
         const cmd = command.replace(/\[REV_RANGE\]/, latestTag ? `${latestTag}...HEAD` : '');
         return this.shell.run(cmd);
+      } else if (conventionalRe.test(command)) {
+        const [, preset] = conventionalRe.exec(command);
+        return this.getConventionalChangelog(preset, latestTag, options);
       } else {
         return this.shell.runTemplateCommand(command);
       }
     }
     return noop;
   }
+  getCommits(latestTag, { path } = {}) {
+    const range = latestTag ? `${latestTag}...HEAD` : '';
+    const pathArg = path ? `-- ${path}` : '';
+    return this.shell.run(`git log --format=${COMMIT_FORMAT} ${range} ${pathArg}`).then(parseCommits);
+  }
+  getConventionalChangelog(preset, latestTag, { repo, path } = {}) {
+    const { host, owner, project } = repo || {};
+    const context =
+      host && owner
+        ? { host: `https://${host}`, owner, repository: project, linkReferences: true }
+        : { linkReferences: false };
+    const gitRawCommitsOpts = _.omitBy({ from: latestTag, path }, _.isNil);
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      conventionalChangelog({ preset }, context, gitRawCommitsOpts, {}, { headerPartial: '' })
+        .on('data', chunk => chunks.push(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(_.trim(Buffer.concat(chunks).toString()).replace(/\n{3,}/g, '\n\n')));
+    });
+  }
 }
 
 module.exports = Changelog;
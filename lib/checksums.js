@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const CHECKSUM_FILES = {
+  sha256: 'SHA256SUMS',
+  sha512: 'SHA512SUMS'
+};
+
+const getAlgorithms = checksums => (checksums === true ? ['sha256'] : _.castArray(checksums || []));
+
+const getChecksum = (file, algorithm) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+const createChecksumFile = async (files, algorithm, dir) => {
+  const lines = [];
+  for (const file of files) {
+    lines.push(`${await getChecksum(file, algorithm)}  ${path.basename(file)}`);
+  }
+  const checksumFile = path.join(dir, CHECKSUM_FILES[algorithm] || `${algorithm.toUpperCase()}SUMS`);
+  fs.writeFileSync(checksumFile, lines.join('\n') + '\n');
+  return checksumFile;
+};
+
+const createChecksumFiles = async (files, checksums, dir) => {
+  const checksumFiles = [];
+  for (const algorithm of getAlgorithms(checksums)) {
+    checksumFiles.push(await createChecksumFile(files, algorithm, dir));
+  }
+  return checksumFiles;
+};
+
+module.exports = {
+  getChecksum,
+  createChecksumFile,
+  createChecksumFiles
+};
@@ -10,6 +10,7 @@ const helpText = `Release It! v${pkg.version}
   Use e.g. "release-it minor" directly as shorthand for "release-it --increment=minor".
 
   -c --config            Path to local configuration options [default: ".release-it.json"]
+     --continue          Continue a release that failed partway through (skips the steps that already succeeded)
   -d --dry-run           Do not touch or write anything, but show the commands
      --debug             Print debug information
   -h --help              Print this help
@@ -85,6 +85,12 @@ class Config {
     Object.assign(this.runtimeOptions, options);
   }
 
+  fork(runtimeOptions) {
+    const config = Object.create(this);
+    config.runtimeOptions = Object.assign({}, this.runtimeOptions, runtimeOptions);
+    return config;
+  }
+
   get defaultConfig() {
     return defaultConfig;
   }
@@ -119,6 +125,14 @@ class Config {
     return !this.options['non-interactive'];
   }
 
+  get isCI() {
+    return isCI;
+  }
+
+  get isContinue() {
+    return Boolean(this.options.continue);
+  }
+
   get isCollectMetrics() {
     return !this.options['disable-metrics'];
   }
@@ -8,9 +8,13 @@ const debugConfig = createDebug('release-it:config');
 const debugGit = createDebug('release-it:git');
 const debugGitHub = createDebug('release-it:github');
 const debugGitLab = createDebug('release-it:gitlab');
+const debugBitbucket = createDebug('release-it:bitbucket');
+const debugGitea = createDebug('release-it:gitea');
 const debugNpm = createDebug('release-it:npm');
 const debugVersion = createDebug('release-it:version');
 const debugShell = createDebug('release-it:shell');
+const debugWorkspaces = createDebug('release-it:workspaces');
+const debugChangelogFile = createDebug('release-it:changelog-file');
 
 if (opts.debug) {
   createDebug.enable('release-it:*');
@@ -22,7 +26,11 @@ module.exports = {
   debugGit,
   debugGitHub,
   debugGitLab,
+  debugBitbucket,
+  debugGitea,
   debugNpm,
   debugVersion,
-  debugShell
+  debugShell,
+  debugWorkspaces,
+  debugChangelogFile
 };
@@ -87,6 +87,133 @@ class TokenError extends ReleaseItError {
   }
 }
 
+class PluginNotFoundError extends ReleaseItError {
+  constructor(name) {
+    super(
+      `Could not load plugin "${name}".` +
+        EOL +
+        'Please make sure it is installed (or the path is correct).' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#plugins'
+    );
+  }
+}
+
+class ReleaseStateNotFoundError extends ReleaseItError {
+  constructor(file) {
+    super(
+      `Could not find the state of a previous release to continue (${file}).` +
+        EOL +
+        'Please start a new release without `--continue`.'
+    );
+  }
+}
+
+class VersionSchemeNotFoundError extends ReleaseItError {
+  constructor(name) {
+    super(
+      `Could not load version scheme "${name}".` +
+        EOL +
+        'Please make sure it is a built-in scheme or installed (or the path is correct).' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#version-schemes'
+    );
+  }
+}
+
+class WorkspacesNotFoundError extends ReleaseItError {
+  constructor() {
+    super(
+      'Could not find any workspaces in the `workspaces` field of package.json.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#monorepos'
+    );
+  }
+}
+
+class MilestoneNotFoundError extends ReleaseItError {
+  constructor(title) {
+    super(
+      `Could not find the GitHub milestone "${title}".` +
+        EOL +
+        'Please create the milestone, or use `--no-github.checkMilestone` to skip this check.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#github-milestones'
+    );
+  }
+}
+
+class MilestoneOpenIssuesError extends ReleaseItError {
+  constructor(title, count) {
+    super(
+      `The GitHub milestone "${title}" has ${count} open issue(s) or pull request(s).` +
+        EOL +
+        'Please close them or move them to another milestone before the release.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#github-milestones'
+    );
+  }
+}
+
+class NpmRegistryTokenError extends ReleaseItError {
+  constructor(tokenRef, registry) {
+    super(
+      `Environment variable "${tokenRef}" is required to publish to ${registry}.` +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#multiple-registries'
+    );
+  }
+}
+
+class NpmPackageCheckError extends ReleaseItError {
+  constructor(problems) {
+    super(
+      'The npm package did not pass the checks:' +
+        EOL +
+        problems.map(problem => `- ${problem}`).join(EOL) +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#package-contents'
+    );
+  }
+}
+
+class NpmAuthenticationError extends ReleaseItError {
+  constructor(registry) {
+    super(
+      `Not authenticated with ${registry}.` +
+        EOL +
+        'Please log in with `npm login`, or set the `tokenRef` of the registry.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#publishing-to-npm'
+    );
+  }
+}
+
+class NpmVersionExistsError extends ReleaseItError {
+  constructor(name, version, registry) {
+    super(
+      `Version ${version} of ${name} is already published to ${registry}.` +
+        EOL +
+        'Please release a different version, or use `--no-npm.publish` to skip publishing.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#publishing-to-npm'
+    );
+  }
+}
+
+class NpmCollaboratorError extends ReleaseItError {
+  constructor(username, name, registry) {
+    super(
+      `User "${username}" does not have write access to ${name} on ${registry}.` +
+        EOL +
+        `Please ask an owner of the package to add this user (\`npm owner add ${username} ${name}\`),` +
+        ' or use `--no-npm.publish` to skip publishing.' +
+        EOL +
+        'Documentation: https://github.com/webpro/release-it#publishing-to-npm'
+    );
+  }
+}
+
 module.exports = {
   GitHubClientError,
   InvalidVersionError,
@@ -98,5 +225,16 @@ module.exports = {
   GitCleanWorkingDirError,
   GitUpstreamError,
   GitCommitError,
-  TokenError
+  TokenError,
+  PluginNotFoundError,
+  ReleaseStateNotFoundError,
+  VersionSchemeNotFoundError,
+  WorkspacesNotFoundError,
+  MilestoneNotFoundError,
+  MilestoneOpenIssuesError,
+  NpmRegistryTokenError,
+  NpmPackageCheckError,
+  NpmAuthenticationError,
+  NpmVersionExistsError,
+  NpmCollaboratorError
 };
@@ -0,0 +1,57 @@
+const _ = require('lodash');
+const Scheme = require('./scheme');
+
+const versionRe = /^v?(\d+)\.(\d+)\.(\d+)\.(\d+)$/;
+const coerceRe = /(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?/;
+
+class FourPart extends Scheme {
+  constructor(options) {
+    super(Object.assign({ name: 'four-part' }, options));
+  }
+
+  get initialVersion() {
+    return '0.0.0.0';
+  }
+
+  get releaseTypes() {
+    return ['revision', 'build', 'minor', 'major'];
+  }
+
+  get aliases() {
+    return {
+      patch: 'build'
+    };
+  }
+
+  parse(version) {
+    const match = versionRe.exec(version);
+    return match ? { parts: match.slice(1).map(Number), preRelease: null } : null;
+  }
+
+  compare(a, b) {
+    const versionA = this.parse(a);
+    const versionB = this.parse(b);
+    if (!versionA || !versionB) return versionA ? 1 : versionB ? -1 : 0;
+    const index = _.findIndex(versionA.parts, (part, index) => part !== versionB.parts[index]);
+    return index === -1 ? 0 : Math.sign(versionA.parts[index] - versionB.parts[index]);
+  }
+
+  inc(version, type) {
+    const parsed = this.parse(version);
+    const index = ['major', 'minor', 'build', 'revision'].indexOf(this.normalizeType(type));
+    if (!parsed || index === -1) return null;
+    return parsed.parts.map((part, i) => (i < index ? part : i === index ? part + 1 : 0)).join('.');
+  }
+
+  coerce(version) {
+    const match = coerceRe.exec(version);
+    return match
+      ? match
+          .slice(1)
+          .map(part => Number(part || 0))
+          .join('.')
+      : null;
+  }
+}
+
+module.exports = FourPart;
@@ -1,8 +1,10 @@
 const path = require('path');
+const { EOL } = require('os');
 const _ = require('lodash');
 const repoPathParse = require('parse-repo');
-const Log = require('./log');
+const Plugin = require('./plugin');
 const Shell = require('./shell');
+const { format, truncateLines, logPreview } = require('./util');
 const {
   GitRepoError,
   GitRemoteUrlError,
@@ -15,12 +17,27 @@ const { git: defaults } = require('../conf/release-it.json');
 
 const invalidPushRepoRe = /^\S+@/;
 
-class Git {
+const prompts = {
+  commit: {
+    type: 'confirm',
+    message: context => `Commit (${truncateLines(format(context.git.commitMessage, context), 1, ' [...]')})?`
+  },
+  tag: {
+    type: 'confirm',
+    message: context => `Tag (${format(context.git.tagName, context)})?`
+  },
+  push: {
+    type: 'confirm',
+    message: () => 'Push?'
+  }
+};
+
+class Git extends Plugin {
   constructor(...args) {
-    const options = Object.assign({}, ...args);
-    this.options = _.defaults(options, defaults);
-    this.log = options.log || new Log();
-    this.shell = options.shell || new Shell();
+    super(...args);
+    this.namespace = 'git';
+    this.options = _.defaults(this.options, defaults);
+    this.registerPrompts(prompts);
   }
 
   async init() {
@@ -29,6 +46,7 @@ class Git {
     this.latestTag = await this.getLatestTag();
     this.isRootDir = await this.isInGitRootDir();
     this.repo = this.remoteUrl && repoPathParse(this.remoteUrl);
+    Object.assign(this, _.pick(this.getState(), ['isCommitted', 'tagName', 'tagNames', 'isPushed']));
   }
 
   async validate() {
@@ -38,7 +56,7 @@ class Git {
     if (!this.remoteUrl) {
       throw new GitRemoteUrlError();
     }
-    if (this.options.requireCleanWorkingDir && !(await this.isWorkingDirClean())) {
+    if (this.options.requireCleanWorkingDir && !this.config.isContinue && !(await this.isWorkingDirClean())) {
       throw new GitCleanWorkingDirError();
     }
     if (this.options.requireUpstream && !this.hasUpstream) {
@@ -46,6 +64,27 @@ class Git {
     }
   }
 
+  getLatestVersion() {
+    return this.latestTag;
+  }
+
+  async beforeRelease() {
+    logPreview(this.log, 'changeset', await this.status(), EOL);
+  }
+
+  async release() {
+    const { commit, tag, push } = this.options;
+    await this.step({
+      enabled: commit,
+      task: () => this.commit(),
+      label: 'Git commit',
+      prompt: 'commit',
+      id: 'commit'
+    });
+    await this.step({ enabled: tag, task: () => this.tag(), label: 'Git tag', prompt: 'tag', id: 'tag' });
+    await this.step({ enabled: push, task: () => this.push(), label: 'Git push', prompt: 'push', id: 'push' });
+  }
+
   isGitRepo() {
     return this.shell.run('git rev-parse --git-dir').then(() => true, () => false);
   }
@@ -115,18 +154,32 @@ class Git {
   }
 
   commit({ message = this.options.commitMessage, args = '' } = {}) {
-    return this.shell.runTemplateCommand(`git commit --message="${message}" ${args}`, Shell.writes).catch(err => {
-      debug(err);
-      if (/nothing (added )?to commit/.test(err)) {
-        this.log.warn('No changes to commit. The latest commit will be tagged.');
-      } else {
-        throw new GitCommitError(err);
-      }
-    });
+    return this.shell
+      .runTemplateCommand(`git commit --message="${message}" ${args}`, Shell.writes)
+      .then(stdout => {
+        this.isCommitted = true;
+        this.setState({ isCommitted: true });
+        return stdout;
+      })
+      .catch(err => {
+        debug(err);
+        if (/nothing (added )?to commit/.test(err)) {
+          this.log.warn('No changes to commit. The latest commit will be tagged.');
+        } else {
+          throw new GitCommitError(err);
+        }
+      });
   }
 
   tag({ name = this.options.tagName, annotation = this.options.tagAnnotation, args = '' } = {}) {
-    return this.shell.runTemplateCommand(`git tag --annotate --message="${annotation}" ${args} ${name}`, Shell.writes);
+    return this.shell
+      .runTemplateCommand(`git tag --annotate --message="${annotation}" ${args} ${name}`, Shell.writes)
+      .then(stdout => {
+        this.tagName = format(name, this.config.getOptions());
+        this.tagNames = (this.tagNames || []).concat(this.tagName);
+        this.setState({ tagName: this.tagName, tagNames: this.tagNames });
+        return stdout;
+      });
   }
 
   getLatestTag() {
@@ -143,7 +196,29 @@ class Git {
     } else if (!invalidPushRepoRe.test(pushRepo)) {
       upstream = pushRepo;
     }
-    return this.shell.run(`git push --follow-tags ${pushArgs} ${upstream}`, Shell.writes);
+    return this.shell.run(`git push --follow-tags ${pushArgs} ${upstream}`, Shell.writes).then(stdout => {
+      this.isPushed = true;
+      this.setState({ isPushed: true });
+      return stdout;
+    });
+  }
+
+  async rollback() {
+    const { pushRepo, requireCleanWorkingDir } = this.options;
+    if (this.tagNames) {
+      const tagNames = this.tagNames.join(' ');
+      if (this.isPushed) {
+        await this.shell.run(`git push --delete ${pushRepo || 'origin'} ${tagNames}`, Shell.undo);
+      }
+      await this.shell.run(`git tag --delete ${tagNames}`, Shell.undo);
+    }
+    if (this.isCommitted) {
+      if (this.isPushed) {
+        this.log.warn('The release commit has already been pushed. Please revert it manually.');
+      } else {
+        await this.shell.run(`git reset ${requireCleanWorkingDir ? '--hard ' : ''}HEAD~1`, Shell.undo);
+      }
+    }
   }
 
   isSameRepo(otherClient) {
@@ -0,0 +1,205 @@
+const path = require('path');
+const { EOL } = require('os');
+const got = require('got');
+const retry = require('async-retry');
+const globby = require('globby');
+const _ = require('lodash');
+const Release = require('./release');
+const { format, logPreview, getMultipartBody } = require('./util');
+const { debugGitea: debug } = require('./debug');
+const { gitea: defaults } = require('../conf/release-it.json');
+
+const noop = Promise.resolve();
+
+const NO_RETRIES_NEEDED = [400, 401, 403, 404, 409, 422];
+
+const MULTIPART_BOUNDARY = 'release-it-gitea-upload';
+
+const prompts = {
+  gtRelease: {
+    type: 'confirm',
+    message: context =>
+      `Create a ${context.isPreRelease ? 'pre-' : ''}release on Gitea (${format(context.gitea.releaseName, context)})?`
+  }
+};
+
+class Gitea extends Release {
+  constructor(...args) {
+    super(...args);
+    this.type = 'Gitea';
+    this.namespace = 'gitea';
+    this.options = _.defaults(this.options, defaults);
+    this.registerPrompts(prompts);
+  }
+
+  get baseUrl() {
+    const host = this.options.host || this.repo.host;
+    return _.trimEnd(/^https?:\/\//.test(host) ? host : `https://${host}`, '/');
+  }
+
+  get apiUrl() {
+    const { owner, project } = this.repo;
+    return `${this.baseUrl}/api/v1/repos/${owner}/${project}`;
+  }
+
+  getCompareUrl(from, to) {
+    return `${this.baseUrl}/${this.repo.repository}/compare/${from}...${to}`;
+  }
+
+  async getNotesContext(...args) {
+    const context = await super.getNotesContext(...args);
+    const { latestTag, tagName } = context;
+    return Object.assign(context, { compareUrl: latestTag ? this.getCompareUrl(latestTag, tagName) : null });
+  }
+
+  request(endpoint, options) {
+    const url = `${this.apiUrl}${endpoint}`;
+    const headers = Object.assign(
+      {
+        'user-agent': 'webpro/release-it',
+        authorization: `token ${this.token}`
+      },
+      options.headers
+    );
+    const requestOptions = Object.assign({ json: true, timeout: this.options.timeout || undefined }, options, {
+      headers
+    });
+    return retry(
+      async bail => {
+        try {
+          debug(Object.assign({ url }, _.omit(requestOptions, ['body'])));
+          const response = await got(url, requestOptions);
+          debug(response.body);
+          return response.body;
+        } catch (err) {
+          debug(err);
+          if (_.includes(NO_RETRIES_NEEDED, err.statusCode)) {
+            return bail(err);
+          }
+          throw err;
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  async release() {
+    const { release, assets } = this.options;
+    const { version, isPreRelease, changelog } = this.config.getOptions();
+
+    release &&
+      this.hasCustomNotes &&
+      logPreview(this.log, 'release notes', await this.getNotes({ version, changelog }), EOL);
+
+    const createRelease = () => this.createRelease({ version, isPreRelease, changelog });
+    const uploadAssets = () => this.uploadAssets();
+
+    await this.step({
+      enabled: release,
+      task: createRelease,
+      label: 'Gitea release',
+      prompt: 'gtRelease',
+      id: 'release'
+    });
+    await this.step({ enabled: assets, task: uploadAssets, label: 'Gitea upload assets', id: 'assets' });
+  }
+
+  async createRelease({ version, isPreRelease, changelog }) {
+    const { tagName, releaseName, draft, preRelease } = this.options;
+    const context = Object.assign(this.getContext(), { version });
+    const tag_name = format(tagName, context);
+    const name = format(releaseName, context);
+    const body = await this.getNotes({ version, changelog });
+
+    this.log.exec(`gitea releases#createRelease "${name}" (${tag_name})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      this.releaseUrl = `${this.baseUrl}/${this.repo.repository}/releases/tag/${tag_name}`;
+      this.isReleased = true;
+      return noop;
+    }
+
+    const release = await this.request('/releases', {
+      method: 'POST',
+      body: {
+        tag_name,
+        name,
+        body,
+        draft: Boolean(draft),
+        prerelease: Boolean(isPreRelease || preRelease)
+      }
+    });
+
+    this.log.verbose(`gitea releases#createRelease: done (${release.html_url})`);
+    this.releaseId = release.id;
+    this.releaseUrl = release.html_url;
+    this.isReleased = true;
+    this.setState({ isReleased: true, releaseId: release.id, releaseUrl: release.html_url });
+    return release;
+  }
+
+  async uploadAsset(filePath) {
+    const name = path.basename(filePath);
+    const asset = await this.request(`/releases/${this.releaseId}/assets?name=${encodeURIComponent(name)}`, {
+      method: 'POST',
+      json: false,
+      headers: { 'content-type': `multipart/form-data; boundary=${MULTIPART_BOUNDARY}` },
+      body: getMultipartBody({ boundary: MULTIPART_BOUNDARY, field: 'attachment', file: filePath })
+    });
+    const { browser_download_url } = _.isString(asset) ? JSON.parse(asset) : asset;
+    this.log.verbose(`gitea releases#uploadAsset: done (${browser_download_url})`);
+    return browser_download_url;
+  }
+
+  async uploadAssets() {
+    const { assets } = this.options;
+
+    this.log.exec('gitea releases#uploadAssets', assets);
+
+    if (!assets || !this.isReleased) {
+      return noop;
+    }
+
+    const files = await globby(assets);
+
+    if (!files.length) {
+      this.log.warn(`gitea releases#uploadAssets: assets not found (glob "${assets}" relative to ${process.cwd()})`);
+    }
+
+    if (this.options.isDryRun) {
+      files.forEach(file => this.log.exec(`gitea releases#uploadAsset ${path.basename(file)}`));
+      this.log.dry();
+      return noop;
+    }
+
+    const urls = [];
+    for (const file of files) {
+      urls.push(await this.uploadAsset(file));
+    }
+    return urls;
+  }
+
+  async rollback() {
+    if (!this.isReleased) return;
+
+    this.log.undo(`gitea releases#deleteRelease (${this.releaseUrl})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return;
+    }
+
+    try {
+      await this.request(`/releases/${this.releaseId}`, { method: 'DELETE', json: false });
+      this.isReleased = false;
+    } catch (err) {
+      debug(err);
+      this.log.warn(`Could not delete Gitea release (${err.statusCode || err.message})`);
+    }
+  }
+}
+
+module.exports = Gitea;
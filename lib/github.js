@@ -1,13 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const { EOL, tmpdir } = require('os');
 const GitHubApi = require('@octokit/rest');
 const retry = require('async-retry');
 const globby = require('globby');
 const mime = require('mime-types');
+const sh = require('shelljs');
+const semver = require('semver');
 const _ = require('lodash');
 const Release = require('./release');
-const { format } = require('./util');
-const { GitHubClientError } = require('./errors');
+const Shell = require('./shell');
+const { createChecksumFiles } = require('./checksums');
+const { format, logPreview } = require('./util');
+const { GitHubClientError, MilestoneNotFoundError, MilestoneOpenIssuesError } = require('./errors');
 const { debugGitHub: debug } = require('./debug');
 const { github: defaults } = require('../conf/release-it.json');
 
@@ -15,6 +20,28 @@ const noop = Promise.resolve();
 
 const NO_RETRIES_NEEDED = [400, 401, 404, 422];
 
+const prompts = {
+  ghRelease: {
+    type: 'confirm',
+    message: context =>
+      `Create a ${context.isPreRelease ? 'pre-' : ''}release on GitHub (${format(
+        context.github.releaseName,
+        context
+      )})?`
+  }
+};
+
+const issueReferenceRe = /(?:^|[^\w/])#(\d+)\b/g;
+
+const getReferencedIssues = commits =>
+  _.sortBy(
+    _.uniq(
+      _.flatMap(commits, ({ subject, body }) =>
+        _.map(`${subject}\n${body}`.match(issueReferenceRe), reference => Number(reference.replace(/^[^#]*#/, '')))
+      )
+    )
+  );
+
 const parseErrorMessage = err => {
   let msg = err;
   if (err instanceof Error) {
@@ -24,22 +51,32 @@ const parseErrorMessage = err => {
   return msg;
 };
 
-const handleError = (err, bail) => {
-  const msg = parseErrorMessage(err);
-  const ghError = new GitHubClientError(msg);
-  this.log.verbose(err.errors);
-  debug(err);
-  if (_.includes(NO_RETRIES_NEEDED, err.status)) {
-    return bail(ghError);
-  }
-  throw ghError;
-};
-
 class GitHub extends Release {
   constructor(...args) {
     super(...args);
     this.type = 'GitHub';
+    this.namespace = 'github';
     this.options = _.defaults(this.options, defaults);
+    this.registerPrompts(prompts);
+  }
+
+  validateRelease() {
+    const { version } = this.config.getOptions();
+    const { milestone, checkMilestone } = this.options;
+    if (milestone && checkMilestone && version) {
+      return this.checkMilestone({ version });
+    }
+  }
+
+  handleError(err, bail) {
+    const msg = parseErrorMessage(err);
+    const ghError = new GitHubClientError(msg);
+    this.log.verbose(err.errors);
+    debug(err);
+    if (_.includes(NO_RETRIES_NEEDED, err.status)) {
+      return bail(ghError);
+    }
+    throw ghError;
   }
 
   getGitHubClient() {
@@ -72,25 +109,73 @@ class GitHub extends Release {
     return client;
   }
 
-  async release({ version, isPreRelease, changelog }) {
-    const { tagName, releaseName, releaseNotes } = this.options;
-    const tag_name = format(tagName, { version });
-    const name = format(releaseName, { version });
-    const body = releaseNotes ? await this.changelogs.create(releaseNotes) : changelog;
+  async release() {
+    const { release, assets, npmPack, publishDraft, comments, closeMilestone, nextMilestone } = this.options;
+    const { version, isPreRelease, changelog } = this.config.getOptions();
+
+    release &&
+      this.hasCustomNotes &&
+      logPreview(this.log, 'release notes', await this.getNotes({ version, changelog }), EOL);
+
+    const createRelease = () => this.createRelease({ version, isPreRelease, changelog });
+    const uploadAssets = () => this.uploadAssets();
+
+    await this.step({
+      enabled: release,
+      task: createRelease,
+      label: 'GitHub release',
+      prompt: 'ghRelease',
+      id: 'release'
+    });
+    await this.step({ enabled: assets || npmPack, task: uploadAssets, label: 'GitHub upload assets', id: 'assets' });
+    await this.step({
+      enabled: publishDraft,
+      task: () => this.publishDraft(),
+      label: 'GitHub publish draft release',
+      id: 'publishDraft'
+    });
+    await this.step({
+      enabled: comments,
+      task: () => this.commentOnIssues({ version }),
+      label: 'GitHub comments',
+      id: 'comments'
+    });
+    await this.step({
+      enabled: closeMilestone || nextMilestone,
+      task: () => this.updateMilestones({ version }),
+      label: 'GitHub milestones',
+      id: 'milestones'
+    });
+  }
+
+  async createRelease({ version, isPreRelease, changelog }) {
+    const { tagName, releaseName } = this.options;
+    const context = Object.assign(this.getContext(), { version });
+    const tag_name = format(tagName, context);
+    const name = format(releaseName, context);
+    const body = await this.getNotes({ version, changelog });
 
     this.log.exec(`octokit releases#createRelease "${name}" (${tag_name})`);
 
     if (this.options.isDryRun) {
       this.log.dry();
       this.releaseUrl = this.getReleaseUrlFallback(version);
+      this.isDraft = Boolean(this.options.draft);
       this.isReleased = true;
       return noop;
     }
 
     const client = this.getGitHubClient();
-    const { draft } = this.options;
+    const { draft, update } = this.options;
     const { owner, project: repo } = this.repo;
 
+    if (update) {
+      const existingRelease = await this.getReleaseByTag(tag_name);
+      if (existingRelease) {
+        return this.updateRelease(existingRelease, { name, body, prerelease: isPreRelease, draft });
+      }
+    }
+
     return retry(
       async bail => {
         try {
@@ -105,14 +190,40 @@ class GitHub extends Release {
           };
           debug(options);
           const response = await client.repos.createRelease(options);
-          const { html_url, upload_url } = response.data;
+          const { id, html_url, upload_url } = response.data;
           this.log.verbose(`octokit releases#createRelease: done (${response.headers.location})`);
+          this.releaseId = id;
           this.releaseUrl = html_url;
           this.uploadUrl = upload_url;
+          this.isDraft = Boolean(draft);
           this.isReleased = true;
+          this.setState({ isReleased: true, releaseId: id, releaseUrl: html_url, uploadUrl: upload_url });
           return response.data;
         } catch (err) {
-          return handleError(err, bail);
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  getReleaseByTag(tag_name) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    this.log.exec(`octokit releases#listReleases (${tag_name})`);
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, per_page: 100 };
+          debug(options);
+          const response = await client.repos.listReleases(options);
+          return _.find(response.data, { tag_name });
+        } catch (err) {
+          return this.handleError(err, bail);
         }
       },
       {
@@ -121,19 +232,87 @@ class GitHub extends Release {
     );
   }
 
-  uploadAsset(filePath) {
+  updateRelease(release, { name, body, prerelease, draft }) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+    const isDraft = release.draft || Boolean(draft);
+
+    this.log.exec(`octokit releases#updateRelease "${name}" (${release.tag_name})`);
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, release_id: release.id, name, body, prerelease, draft: isDraft };
+          debug(options);
+          const response = await client.repos.updateRelease(options);
+          const { id, html_url, upload_url } = response.data;
+          this.log.verbose(`octokit releases#updateRelease: done (${html_url})`);
+          this.releaseId = id;
+          this.releaseUrl = html_url;
+          this.uploadUrl = upload_url;
+          this.existingAssets = release.assets || [];
+          this.isDraft = isDraft;
+          this.isReleased = true;
+          this.isUpdated = true;
+          this.setState({
+            isReleased: true,
+            isUpdated: true,
+            releaseId: id,
+            releaseUrl: html_url,
+            uploadUrl: upload_url
+          });
+          return response.data;
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  deleteAsset({ id, name }) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    this.log.exec(`octokit releases#deleteReleaseAsset (${name})`);
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, asset_id: id };
+          debug(options);
+          await client.repos.deleteReleaseAsset(options);
+          this.log.verbose(`octokit releases#deleteReleaseAsset: done (${name})`);
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  async uploadAsset(filePath) {
     const client = this.getGitHubClient();
     const url = this.uploadUrl;
     const name = path.basename(filePath);
     const contentType = mime.contentType(name) || 'application/octet-stream';
     const contentLength = fs.statSync(filePath).size;
+    const existingAsset = _.find(this.existingAssets, { name });
+
+    if (existingAsset) {
+      await this.deleteAsset(existingAsset);
+    }
 
     return retry(
       async bail => {
         try {
           const options = {
             url,
-            file: fs.createReadStream(filePath),
+            file: fs.createReadStream(filePath).on('error', debug),
             name,
             headers: {
               'content-type': contentType,
@@ -145,7 +324,7 @@ class GitHub extends Release {
           this.log.verbose(`octokit releases#uploadAsset: done (${response.data.browser_download_url})`);
           return response.data;
         } catch (err) {
-          return handleError(err, bail);
+          return this.handleError(err, bail);
         }
       },
       {
@@ -154,32 +333,334 @@ class GitHub extends Release {
     );
   }
 
-  uploadAssets() {
-    const { assets } = this.options;
+  async signFiles(files, dir) {
+    const { signingKey } = this.options;
+    const localUser = signingKey ? `--local-user ${signingKey} ` : '';
+    const signatures = [];
+    for (const file of files) {
+      const signature = path.join(dir, `${path.basename(file)}.asc`);
+      await this.shell.run(
+        `gpg --batch --yes --armor --detach-sign ${localUser}--output ${signature} ${file}`,
+        Shell.writes
+      );
+      signatures.push(signature);
+    }
+    return signatures;
+  }
+
+  async getAssetFiles(files, dir) {
+    const { checksums, sign } = this.options;
+    if (!checksums && !sign) return files;
+    const checksumFiles = await createChecksumFiles(files, checksums, dir);
+    checksumFiles.forEach(file => logPreview(this.log, path.basename(file), fs.readFileSync(file, 'utf8').trim()));
+    const signatures = sign ? await this.signFiles([...files, ...checksumFiles], dir) : [];
+    return [...files, ...checksumFiles, ...signatures];
+  }
+
+  async uploadAssets() {
+    const { assets, npmPack } = this.options;
 
     this.log.exec('octokit releases#uploadAssets', assets);
 
-    if (!assets || !this.isReleased) {
+    if ((!assets && !npmPack) || !this.isReleased) {
+      return noop;
+    }
+
+    const files = assets ? await globby(assets) : [];
+
+    if (assets && !files.length) {
+      this.log.warn(`octokit releases#uploadAssets: assets not found (glob "${assets}" relative to ${process.cwd()})`);
+    }
+
+    files.push(...(await this.getNpmPackage()));
+
+    if (!files.length) {
+      return [];
+    }
+
+    const { checksums, sign } = this.options;
+    const dir = checksums || sign ? fs.mkdtempSync(path.join(tmpdir(), 'release-it-')) : null;
+
+    try {
+      const assetFiles = await this.getAssetFiles(files, dir);
+
+      if (this.options.isDryRun) {
+        assetFiles.forEach(file => this.log.exec(`octokit releases#uploadAsset ${path.basename(file)}`));
+        this.log.dry();
+        return noop;
+      }
+
+      return await Promise.all(assetFiles.map(filePath => this.uploadAsset(filePath)));
+    } finally {
+      if (dir) sh.rm('-rf', dir);
+    }
+  }
+
+  async publishDraft() {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    if (!this.isReleased || !this.isDraft) {
       return noop;
     }
 
+    this.log.exec(`octokit releases#updateRelease (publish draft ${this.releaseUrl})`);
+
     if (this.options.isDryRun) {
       this.log.dry();
       return noop;
     }
 
-    return globby(assets).then(files => {
-      if (!files.length) {
-        this.log.warn(
-          `octokit releases#uploadAssets: assets not found (glob "${assets}" relative to ${process.cwd()})`
-        );
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, release_id: this.releaseId, draft: false };
+          debug(options);
+          const response = await client.repos.updateRelease(options);
+          const { html_url } = response.data;
+          this.log.verbose(`octokit releases#updateRelease: done (${html_url})`);
+          this.releaseUrl = html_url;
+          this.isDraft = false;
+          this.setState({ releaseUrl: html_url });
+          return response.data;
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
       }
-      return Promise.all(files.map(filePath => this.uploadAsset(filePath)));
+    );
+  }
+
+  async commentOnIssues({ version }) {
+    const { commentTemplate, releasedLabel } = this.options;
+
+    if (!this.isReleased) {
+      return noop;
+    }
+
+    const context = await this.getNotesContext({ version });
+    const issues = getReferencedIssues(context.commits);
+    const releaseName = format(this.options.releaseName, context);
+    const body = format(commentTemplate, Object.assign(context, { releaseName, releaseUrl: this.releaseUrl }));
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    for (const number of issues) {
+      this.log.exec(`octokit issues#createComment (#${number})`);
+      releasedLabel && this.log.exec(`octokit issues#addLabels (#${number}) ${releasedLabel}`);
+
+      if (this.options.isDryRun) {
+        this.log.dry();
+        continue;
+      }
+
+      try {
+        debug({ owner, repo, number, body });
+        await client.issues.createComment({ owner, repo, number, body });
+        if (releasedLabel) {
+          await client.issues.addLabels({ owner, repo, number, labels: _.castArray(releasedLabel) });
+        }
+        this.log.verbose(`octokit issues#createComment: done (#${number})`);
+      } catch (err) {
+        debug(err);
+        this.log.warn(`Could not comment on GitHub issue #${number} (${parseErrorMessage(err)})`);
+      }
+    }
+
+    return issues;
+  }
+
+  getMilestoneContext(version) {
+    return Object.assign(this.getContext(), {
+      version,
+      nextMajor: semver.inc(version, 'major'),
+      nextMinor: semver.inc(version, 'minor'),
+      nextPatch: semver.inc(version, 'patch')
     });
   }
 
+  getMilestone(title) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, state: 'all', per_page: 100 };
+          debug(options);
+          const response = await client.issues.listMilestonesForRepo(options);
+          return _.find(response.data, { title });
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  closeMilestone(number) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, number, state: 'closed' };
+          debug(options);
+          return await client.issues.updateMilestone(options);
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  createMilestone(title) {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    return retry(
+      async bail => {
+        try {
+          const options = { owner, repo, title };
+          debug(options);
+          const response = await client.issues.createMilestone(options);
+          return response.data;
+        } catch (err) {
+          return this.handleError(err, bail);
+        }
+      },
+      {
+        retries: 2
+      }
+    );
+  }
+
+  async checkMilestone({ version }) {
+    const title = format(this.options.milestone, this.getMilestoneContext(version));
+
+    this.log.exec(`octokit issues#listMilestonesForRepo (${title})`);
+
+    const milestone = await this.getMilestone(title);
+    if (!milestone) {
+      throw new MilestoneNotFoundError(title);
+    }
+    if (milestone.open_issues > 0) {
+      throw new MilestoneOpenIssuesError(title, milestone.open_issues);
+    }
+    this.log.verbose(`octokit issues#listMilestonesForRepo: "${title}" has no open issues`);
+  }
+
+  async updateMilestones({ version }) {
+    const { milestone, closeMilestone, nextMilestone } = this.options;
+    const context = this.getMilestoneContext(version);
+
+    if (closeMilestone && milestone) {
+      const title = format(milestone, context);
+      this.log.exec(`octokit issues#updateMilestone "${title}" (close)`);
+      if (this.options.isDryRun) {
+        this.log.dry();
+      } else {
+        const { number, state } = (await this.getMilestone(title)) || {};
+        if (!number) {
+          this.log.warn(`Could not find GitHub milestone "${title}" to close`);
+        } else if (state === 'open') {
+          await this.closeMilestone(number);
+          this.closedMilestone = number;
+          this.setState({ closedMilestone: number });
+          this.log.verbose(`octokit issues#updateMilestone: done (${title})`);
+        }
+      }
+    }
+
+    if (nextMilestone) {
+      const title = format(nextMilestone, context);
+      this.log.exec(`octokit issues#createMilestone "${title}"`);
+      if (this.options.isDryRun) {
+        this.log.dry();
+      } else if (await this.getMilestone(title)) {
+        this.log.verbose(`octokit issues#createMilestone: "${title}" already exists`);
+      } else {
+        const { number } = await this.createMilestone(title);
+        this.createdMilestone = number;
+        this.setState({ createdMilestone: number });
+        this.log.verbose(`octokit issues#createMilestone: done (${title})`);
+      }
+    }
+  }
+
+  async rollbackMilestones() {
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+    const requests = [];
+
+    if (this.closedMilestone) {
+      const number = this.closedMilestone;
+      requests.push({
+        label: 'updateMilestone (reopen)',
+        task: () => client.issues.updateMilestone({ owner, repo, number, state: 'open' })
+      });
+    }
+    if (this.createdMilestone) {
+      const number = this.createdMilestone;
+      requests.push({ label: 'deleteMilestone', task: () => client.issues.deleteMilestone({ owner, repo, number }) });
+    }
+
+    for (const { label, task } of requests) {
+      this.log.undo(`octokit issues#${label}`);
+      if (this.options.isDryRun) {
+        this.log.dry();
+        continue;
+      }
+      try {
+        await task();
+      } catch (err) {
+        debug(err);
+        this.log.warn(`Could not undo GitHub issues#${label} (${parseErrorMessage(err)})`);
+      }
+    }
+
+    this.closedMilestone = this.createdMilestone = null;
+  }
+
+  async rollback() {
+    await this.rollbackMilestones();
+
+    if (!this.isReleased) return;
+
+    if (this.isUpdated) {
+      this.log.warn(`Not deleting the existing GitHub release that was updated (${this.releaseUrl})`);
+      return;
+    }
+
+    this.log.undo(`octokit releases#deleteRelease (${this.releaseUrl})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return;
+    }
+
+    const client = this.getGitHubClient();
+    const { owner, project: repo } = this.repo;
+
+    try {
+      await client.repos.deleteRelease({ owner, repo, release_id: this.releaseId });
+      this.isReleased = false;
+    } catch (err) {
+      debug(err);
+      this.log.warn(`Could not delete GitHub release (${parseErrorMessage(err)})`);
+    }
+  }
+
   getReleaseUrlFallback(version) {
-    const tag = format(this.options.tagName, { version });
+    const tag = format(this.options.tagName, Object.assign(this.getContext(), { version }));
     const { host, repository } = this.repo;
     return `https://${host}/${repository}/releases/tag/${tag}`;
   }
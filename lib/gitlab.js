@@ -1,67 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { EOL } = require('os');
 const got = require('got');
+const HttpsProxyAgent = require('https-proxy-agent');
 const retry = require('async-retry');
+const globby = require('globby');
 const _ = require('lodash');
 const Release = require('./release');
-const { format } = require('./util');
+const { format, logPreview, getMultipartBody } = require('./util');
 const { debugGitLab: debug } = require('./debug');
 const { gitlab: defaults } = require('../conf/release-it.json');
 
 const noop = Promise.resolve();
 
-const NO_RETRIES_NEEDED = [400, 401, 404, 422];
+const NO_RETRIES_NEEDED = [400, 401, 403, 404, 409, 422];
+
+const MULTIPART_BOUNDARY = 'release-it-gitlab-upload';
+
+const prompts = {
+  glRelease: {
+    type: 'confirm',
+    message: context => `Create a release on GitLab (${format(context.gitlab.releaseName, context)})?`
+  }
+};
 
 class GitLab extends Release {
   constructor(...args) {
     super(...args);
     this.type = 'GitLab';
+    this.namespace = 'gitlab';
     this.options = _.defaults(this.options, defaults);
+    this.registerPrompts(prompts);
   }
 
-  async release({ version, changelog }) {
-    const { tagName, releaseName, releaseNotes } = this.options;
-    const tag_name = format(tagName, { version });
-    const name = format(releaseName, { version });
-    const description = releaseNotes ? await this.changelogs.create(releaseNotes) : changelog;
-
-    this.log.exec(`gitlab releases#createRelease "${name}" (${tag_name})`);
-
-    if (this.options.isDryRun) {
-      this.log.dry();
-      this.setReleaseUrl(version);
-      this.isReleased = true;
-      return noop;
-    }
+  get origin() {
+    const { origin, host } = this.options;
+    return _.trimEnd(origin || `https://${host || this.repo.host}`, '/');
+  }
 
-    const { repository, host } = this.repo;
-    const id = encodeURIComponent(repository);
+  getCompareUrl(from, to) {
+    return `${this.origin}/${this.repo.repository}/-/compare/${from}...${to}`;
+  }
 
-    const base = `https://${host}/api/v4`;
-    const endpoint = `/projects/${id}/repository/tags/${tag_name}/release`;
-    const url = `${base}${endpoint}`;
+  get apiUrl() {
+    const { repository } = this.repo;
+    return `${this.origin}/api/v4/projects/${encodeURIComponent(repository)}`;
+  }
 
-    const body = {
-      description
-    };
+  getRequestOptions() {
+    if (this.requestOptions) return this.requestOptions;
+    const { certificateAuthorityFile, proxy, timeout } = this.options;
+    const options = {};
+    if (timeout) {
+      options.timeout = timeout;
+    }
+    if (certificateAuthorityFile) {
+      options.ca = fs.readFileSync(certificateAuthorityFile);
+    }
+    if (proxy) {
+      options.agent = new HttpsProxyAgent(proxy);
+    }
+    this.requestOptions = options;
+    return options;
+  }
 
-    const options = {
-      method: 'POST',
-      json: true,
-      body,
-      headers: {
+  request(endpoint, options) {
+    const url = `${this.apiUrl}${endpoint}`;
+    const headers = Object.assign(
+      {
         'user-agent': 'webpro/release-it',
         'Private-Token': this.token
-      }
-    };
-
+      },
+      options.headers
+    );
+    const requestOptions = Object.assign({ json: true }, this.getRequestOptions(), options, { headers });
     return retry(
       async bail => {
         try {
-          debug(Object.assign({ url }, options));
-          const response = await got(url, options);
+          debug(Object.assign({ url }, _.omit(requestOptions, ['body', 'ca', 'agent'])));
+          const response = await got(url, requestOptions);
           debug(response.body);
-          this.log.verbose(`gitlab releases#createRelease: done`);
-          this.setReleaseUrl(version);
-          this.isReleased = true;
           return response.body;
         } catch (err) {
           debug(err);
@@ -77,10 +95,228 @@ class GitLab extends Release {
     );
   }
 
-  setReleaseUrl(version) {
-    const { repository, host } = this.repo;
-    const tag = format(this.options.tagName, { version });
-    this.releaseUrl = `https://${host}/${repository}/tags/${tag}`;
+  async release() {
+    const { release, assets, npmPack, links } = this.options;
+    const { version, changelog } = this.config.getOptions();
+
+    release &&
+      this.hasCustomNotes &&
+      logPreview(this.log, 'release notes', await this.getNotes({ version, changelog }), EOL);
+
+    const task = () => this.createRelease({ version, changelog });
+    await this.step({ enabled: release, task, label: 'GitLab release', prompt: 'glRelease', id: 'release' });
+    await this.step({
+      enabled: assets || npmPack,
+      task: () => this.uploadAssets(),
+      label: 'GitLab upload assets',
+      id: 'assets'
+    });
+    await this.step({
+      enabled: links,
+      task: () => this.addLinks({ version }),
+      label: 'GitLab release links',
+      id: 'links'
+    });
+  }
+
+  getCommitHash(tagName) {
+    return this.shell.run(`git rev-list -n 1 ${tagName}`).catch(() => this.shell.run('git rev-parse HEAD'));
+  }
+
+  async createRelease({ version, changelog }) {
+    const { tagName, releaseName, milestones } = this.options;
+    const context = Object.assign(this.getContext(), { version });
+    const tag_name = format(tagName, context);
+    const name = format(releaseName, context);
+    const description = await this.getNotes({ version, changelog });
+    const milestoneTitles = _.castArray(milestones || []).map(milestone => format(milestone, context));
+
+    this.log.exec(`gitlab releases#createRelease "${name}" (${tag_name})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      this.setReleaseUrl(version);
+      this.tagName = tag_name;
+      this.isReleased = true;
+      return noop;
+    }
+
+    const body = {
+      name,
+      tag_name,
+      description,
+      ref: await this.getCommitHash(tag_name),
+      released_at: new Date().toISOString()
+    };
+
+    if (milestoneTitles.length) {
+      body.milestones = milestoneTitles;
+    }
+
+    let release;
+    try {
+      release = await this.request('/releases', { method: 'POST', body });
+      this.log.verbose(`gitlab releases#createRelease: done`);
+    } catch (err) {
+      if (err.statusCode === 409) {
+        release = await this.updateRelease(tag_name, _.omit(body, ['tag_name', 'ref']));
+      } else if (err.statusCode === 404) {
+        release = await this.createLegacyRelease(tag_name, { description });
+      } else {
+        throw err;
+      }
+    }
+
+    this.setReleaseUrl(version, release);
+    this.tagName = tag_name;
+    this.isReleased = true;
+    this.setState({ isReleased: true, isUpdated: this.isUpdated, tagName: tag_name, releaseUrl: this.releaseUrl });
+    return release;
+  }
+
+  async updateRelease(tagName, body) {
+    this.log.exec(`gitlab releases#updateRelease (${tagName})`);
+    const release = await this.request(`/releases/${encodeURIComponent(tagName)}`, { method: 'PUT', body });
+    this.log.verbose(`gitlab releases#updateRelease: done`);
+    this.isUpdated = true;
+    return release;
+  }
+
+  async createLegacyRelease(tagName, body) {
+    this.log.verbose('gitlab releases#createRelease: Releases API not available, falling back to tag release notes');
+    const release = await this.request(`/repository/tags/${encodeURIComponent(tagName)}/release`, {
+      method: 'POST',
+      body
+    });
+    this.log.verbose(`gitlab tags#createRelease: done`);
+    this.isLegacy = true;
+    return release;
+  }
+
+  async uploadAsset(filePath) {
+    const name = path.basename(filePath);
+    const { repository } = this.repo;
+    const upload = await this.request('/uploads', {
+      method: 'POST',
+      json: false,
+      headers: { 'content-type': `multipart/form-data; boundary=${MULTIPART_BOUNDARY}` },
+      body: getMultipartBody({ boundary: MULTIPART_BOUNDARY, field: 'file', file: filePath })
+    });
+    const { url } = _.isString(upload) ? JSON.parse(upload) : upload;
+    const assetUrl = /^https?:\/\//.test(url) ? url : `${this.origin}/${repository}${url}`;
+    this.log.verbose(`gitlab releases#uploadAsset: done (${assetUrl})`);
+    return this.createLink({ name, url: assetUrl });
+  }
+
+  async uploadAssets() {
+    const { assets, npmPack } = this.options;
+
+    this.log.exec('gitlab releases#uploadAssets', assets);
+
+    if ((!assets && !npmPack) || !this.isReleased) {
+      return noop;
+    }
+
+    if (this.isLegacy) {
+      this.log.warn('Skipping GitLab release assets (release links are not supported by the tag release notes)');
+      return noop;
+    }
+
+    const files = assets ? await globby(assets) : [];
+
+    if (assets && !files.length) {
+      this.log.warn(`gitlab releases#uploadAssets: assets not found (glob "${assets}" relative to ${process.cwd()})`);
+    }
+
+    files.push(...(await this.getNpmPackage()));
+
+    if (this.options.isDryRun) {
+      files.forEach(file => this.log.exec(`gitlab releases#uploadAsset ${path.basename(file)}`));
+      this.log.dry();
+      return noop;
+    }
+
+    const releaseLinks = [];
+    for (const file of files) {
+      releaseLinks.push(await this.uploadAsset(file));
+    }
+    return releaseLinks;
+  }
+
+  createLink({ name, url }) {
+    return this.request(`/releases/${encodeURIComponent(this.tagName)}/assets/links`, {
+      method: 'POST',
+      body: { name, url }
+    });
+  }
+
+  async addLinks({ version }) {
+    const context = Object.assign(this.getContext(), { version, tagName: this.tagName });
+    const links = _.castArray(this.options.links || []).map(link => ({
+      name: format(link.name, context),
+      url: format(link.url, context)
+    }));
+
+    this.log.exec('gitlab releases#addLinks', links.map(link => link.url));
+
+    if (!links.length || !this.isReleased) {
+      return noop;
+    }
+
+    if (this.isLegacy) {
+      this.log.warn('Skipping GitLab release links (release links are not supported by the tag release notes)');
+      return noop;
+    }
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return noop;
+    }
+
+    const releaseLinks = [];
+    for (const link of links) {
+      releaseLinks.push(await this.createLink(link));
+      this.log.verbose(`gitlab releases#addLink: done (${link.url})`);
+    }
+    return releaseLinks;
+  }
+
+  async rollback() {
+    if (!this.isReleased) return;
+
+    if (this.isUpdated) {
+      this.log.warn(`Not deleting the existing GitLab release that was updated (${this.releaseUrl})`);
+      return;
+    }
+
+    this.log.undo(`gitlab releases#deleteRelease (${this.releaseUrl})`);
+
+    if (this.options.isDryRun) {
+      this.log.dry();
+      return;
+    }
+
+    try {
+      await this.request(`/releases/${encodeURIComponent(this.tagName)}`, { method: 'DELETE' });
+      this.isReleased = false;
+    } catch (err) {
+      debug(err);
+      this.log.warn(`Could not delete GitLab release (${err.statusCode || err.message})`);
+    }
+  }
+
+  setReleaseUrl(version, release) {
+    const { repository } = this.repo;
+    const tag = format(this.options.tagName, Object.assign(this.getContext(), { version }));
+    const selfUrl = _.get(release, '_links.self');
+    if (selfUrl) {
+      this.releaseUrl = selfUrl;
+    } else if (this.isLegacy) {
+      this.releaseUrl = `${this.origin}/${repository}/tags/${tag}`;
+    } else {
+      this.releaseUrl = `${this.origin}/${repository}/-/releases/${encodeURIComponent(tag)}`;
+    }
+    return this.releaseUrl;
   }
 }
 
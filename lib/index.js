@@ -11,3 +11,6 @@ module.exports = async options => {
   }
   return Promise.resolve();
 };
+
+module.exports.Plugin = require('./plugin');
+module.exports.Scheme = require('./scheme');
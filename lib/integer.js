@@ -0,0 +1,51 @@
+const Scheme = require('./scheme');
+
+const versionRe = /^v?(\d+)$/;
+const coerceRe = /\d+/;
+
+class Integer extends Scheme {
+  constructor(options) {
+    super(Object.assign({ name: 'integer' }, options));
+  }
+
+  get initialVersion() {
+    return '0';
+  }
+
+  get releaseTypes() {
+    return ['build'];
+  }
+
+  get aliases() {
+    return {
+      patch: 'build',
+      minor: 'build',
+      major: 'build'
+    };
+  }
+
+  parse(version) {
+    const match = versionRe.exec(version);
+    return match ? { build: Number(match[1]), preRelease: null } : null;
+  }
+
+  compare(a, b) {
+    const versionA = this.parse(a);
+    const versionB = this.parse(b);
+    if (!versionA || !versionB) return versionA ? 1 : versionB ? -1 : 0;
+    return Math.sign(versionA.build - versionB.build);
+  }
+
+  inc(version, type) {
+    const parsed = this.parse(version);
+    if (this.normalizeType(type) !== 'build') return null;
+    return parsed ? String(parsed.build + 1) : null;
+  }
+
+  coerce(version) {
+    const match = coerceRe.exec(version);
+    return match ? String(Number(match[0])) : null;
+  }
+}
+
+module.exports = Integer;
@@ -24,6 +24,9 @@ class Logger {
   exec(...args) {
     (this.isVerbose || this.isDryRun) && this.log('$', ...args);
   }
+  undo(...args) {
+    this.log('$', ...args);
+  }
   dry() {
     this.log(chalk.grey('(not executed in dry run)'));
   }
@@ -1,20 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { EOL, tmpdir } = require('os');
 const semver = require('semver');
+const minimatch = require('minimatch');
+const sh = require('shelljs');
 const _ = require('lodash');
+const Plugin = require('./plugin');
+const Shell = require('./shell');
+const { format, logPreview } = require('./util');
+const {
+  NpmRegistryTokenError,
+  NpmPackageCheckError,
+  NpmAuthenticationError,
+  NpmVersionExistsError,
+  NpmCollaboratorError
+} = require('./errors');
 const { debugNpm: debug } = require('./debug');
 
 const DEFAULT_TAG = 'latest';
 const NPM_BASE_URL = 'https://www.npmjs.com/package/';
+const NPM_REGISTRY_HOST = 'registry.npmjs.org';
 
-class npm {
+const getRegistryLabel = ({ registry } = {}) => registry || 'the default registry';
+
+const isSameRegistry = (a, b) => a.registry === b.registry && a.scope === b.scope;
+
+const LOCKFILES = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['package-lock.json', 'npm']];
+
+const isYarnBerry = () => fs.existsSync('.yarnrc.yml') || fs.existsSync('.yarn/releases');
+
+const getTarballName = (name, version) => `${name.replace(/^@/, '').replace(/\//g, '-')}-${version}.tgz`;
+
+const ALWAYS_INCLUDED_FILES = ['package.json', 'README*', 'LICENSE*', 'LICENCE*', 'CHANGELOG*'];
+
+const DEFAULT_DENY_FILES = ['.env', '.env.*', '*.pem', '.npmrc'];
+
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9 };
+
+const parseSize = size => {
+  if (_.isNumber(size)) return size;
+  const [, value, unit = 'b'] = /^([\d.]+)\s*([kmg]?b)?$/.exec(_.toLower(_.trim(size))) || [];
+  return value ? value * SIZE_UNITS[unit] : NaN;
+};
+
+const formatSize = bytes =>
+  bytes < 1e3 ? `${bytes}B` : bytes < 1e6 ? `${(bytes / 1e3).toFixed(1)}kB` : `${(bytes / 1e6).toFixed(1)}MB`;
+
+const getExportsPaths = exports =>
+  _.isString(exports) ? [exports] : _.isObject(exports) ? _.flatMap(_.values(exports), getExportsPaths) : [];
+
+const getEntryPoints = ({ main, module, types, typings, bin, exports }) =>
+  [
+    ['main', main],
+    ['module', module],
+    ['types', types || typings],
+    ..._.map(_.isString(bin) ? [bin] : _.values(bin), file => ['bin', file]),
+    ...getExportsPaths(exports).map(file => ['exports', file])
+  ]
+    .filter(([, file]) => file)
+    .map(([field, file]) => [field, path.posix.normalize(file).replace(/^\.\//, '')]);
+
+const isMatch = (file, patterns) =>
+  _.castArray(patterns).some(pattern => minimatch(file, pattern, { dot: true, matchBase: true }));
+
+const prompts = {
+  publish: {
+    type: 'confirm',
+    message: context =>
+      `Publish ${context.name}${context.npm.tag === 'latest' ? '' : `@${context.npm.tag}`} to ${
+        _.size(context.npm.registries) > 1 ? `${context.npm.registries.length} registries` : 'npm'
+      }?`
+  },
+  otp: {
+    type: 'input',
+    message: () => `Please enter OTP for npm:`
+  },
+  distTags: {
+    type: 'confirm',
+    message: context => `Update the dist-tags of ${context.name}?`
+  }
+};
+
+class npm extends Plugin {
   constructor(...args) {
-    const options = Object.assign({}, ...args);
-    this.options = options;
-    this.log = options.log;
-    this.shell = options.shell;
+    super(...args);
+    this.namespace = 'npm';
+    this.registerPrompts(prompts);
+    this.pack = _.once(this.pack);
+    this.getPackageManager = _.once(this.getPackageManager);
+    this.getNpmVersion = _.once(this.getNpmVersion);
+    this.published = [];
+    this.distTagChanges = [];
+  }
+
+  init() {
+    Object.assign(this, this.getState());
+  }
+
+  async validate() {
+    const { publish, private: isPrivate, skipChecks } = this.options;
+    if (!publish || isPrivate) return;
+    for (const target of this.registries) {
+      if (target.tokenRef && !_.has(process.env, target.tokenRef)) {
+        throw new NpmRegistryTokenError(target.tokenRef, getRegistryLabel(target));
+      }
+    }
+    if (skipChecks) return;
+    for (const target of this.registries) {
+      await this.checkAccess(target);
+    }
+  }
+
+  async validateRelease() {
+    const { publish, private: isPrivate, skipChecks, checkPackage } = this.options;
+    if (!publish || isPrivate) return;
+    if (!skipChecks) {
+      const { version } = this.config.getOptions();
+      for (const target of this.registries) {
+        if (!this.published.some(published => isSameRegistry(published, target))) {
+          await this.checkVersion(target, version);
+        }
+      }
+    }
+    if (checkPackage) {
+      await this.checkPackage();
+    }
+  }
+
+  async getUsername(target) {
+    const command =
+      this.getPackageManager() === 'yarn'
+        ? _.compact([this.getYarnRegistryEnv(target), 'yarn npm whoami']).join(' ')
+        : _.compact(['npm whoami', this.getRegistryArgs(_.omit(target, 'scope'))]).join(' ');
+    try {
+      return _.last((await this.shell.run(command)).split('\n')).trim();
+    } catch (err) {
+      debug(err);
+      return null;
+    }
+  }
+
+  async getVersions(target) {
+    const { name } = this.options;
+    const command = _.compact([`npm view ${name} versions --json`, this.getRegistryArgs(target)]).join(' ');
+    try {
+      return _.castArray(JSON.parse(await this.shell.run(command)));
+    } catch (err) {
+      debug(err);
+      return [];
+    }
+  }
+
+  async getNpmVersion() {
+    try {
+      return _.trim(await this.shell.run('npm --version'));
+    } catch (err) {
+      debug(err);
+      return null;
+    }
+  }
+
+  async getCollaborators(target) {
+    const { name } = this.options;
+    const npmVersion = await this.getNpmVersion();
+    const accessCommand =
+      semver.valid(npmVersion) && semver.major(npmVersion) >= 9
+        ? `npm access list collaborators ${name} --json`
+        : `npm access ls-collaborators ${name}`;
+    const command = _.compact([accessCommand, this.getRegistryArgs(target)]).join(' ');
+    try {
+      return JSON.parse(await this.shell.run(command));
+    } catch (err) {
+      debug(err);
+      return null;
+    }
+  }
+
+  async checkAccess(target) {
+    const { name } = this.options;
+    const username = await this.getUsername(target);
+    if (!username) {
+      throw new NpmAuthenticationError(getRegistryLabel(target));
+    }
+    if (this.getPackageManager() === 'yarn' || _.isEmpty(await this.getVersions(target))) return;
+    const collaborators = await this.getCollaborators(target);
+    if (!collaborators) {
+      this.log.verbose(`Could not check collaborators of ${name} on ${getRegistryLabel(target)}`);
+    } else if (collaborators[username] !== 'read-write') {
+      throw new NpmCollaboratorError(username, name, getRegistryLabel(target));
+    }
+  }
+
+  async checkVersion(target, version) {
+    const { name } = this.options;
+    if (_.includes(await this.getVersions(target), version)) {
+      throw new NpmVersionExistsError(name, version, getRegistryLabel(target));
+    }
+  }
+
+  get registries() {
+    const { registries } = this.options;
+    return _.isEmpty(registries) ? [{}] : _.castArray(registries);
+  }
+
+  getLatestVersion() {
+    return this.options.version;
+  }
+
+  async release() {
+    const { publish, private: isPrivate } = this.options;
+    const { version, isPreRelease } = this.config.getOptions();
+    const otpPrompt = this.isInteractive && (task => this.showPrompt('otp', task));
+    const task = () => this.publishAll({ version, isPreRelease, otpPrompt });
+    await this.step({ enabled: publish && !isPrivate, task, label: 'npm publish', prompt: 'publish', id: 'publish' });
+
+    if (!this.isPublished || this.isDone('distTags')) return;
+    const changes = await this.getDistTagChanges({ version });
+    if (!changes.length) return;
+    logPreview(this.log, 'dist-tags', this.formatDistTagChanges(changes), EOL);
+    const updateDistTags = () => this.updateDistTags({ version, changes });
+    await this.step({ task: updateDistTags, label: 'npm dist-tags', prompt: 'distTags', id: 'distTags' });
+  }
+
+  async getPackageContents() {
+    const { publishPath = '.' } = this.options;
+    const stdout = await this.shell.run(`npm pack ${publishPath} --dry-run --json`);
+    const [contents] = JSON.parse(stdout.slice(stdout.search(/^\[/m)));
+    return contents;
+  }
+
+  async checkPackage() {
+    const { publishPath = '.', allowFiles, denyFiles, maxPackageSize } = this.options;
+    const { files, size } = await this.getPackageContents();
+    const filePaths = files.map(file => file.path);
+    const fileList = files.map(file => `${_.padStart(formatSize(file.size), 8)}  ${file.path}`).join(EOL);
+    logPreview(this.log, 'package contents', `${fileList}${EOL}Package size: ${formatSize(size)}`, EOL);
+
+    const manifest = JSON.parse(fs.readFileSync(path.resolve(publishPath, 'package.json')));
+    const problems = [];
+
+    for (const [field, file] of getEntryPoints(manifest)) {
+      const candidates = field === 'main' ? [file, `${file}.js`, `${file}.json`, `${file}/index.js`] : [file];
+      const isFound = _.includes(file, '*')
+        ? filePaths.some(filePath => minimatch(filePath, file))
+        : candidates.some(candidate => _.includes(filePaths, candidate));
+      if (!isFound) problems.push(`"${field}" points to ${file}, which is not in the package`);
+    }
+
+    const deniedFiles = _.isNil(denyFiles) ? DEFAULT_DENY_FILES : denyFiles;
+    if (!_.isEmpty(deniedFiles)) {
+      filePaths.filter(file => isMatch(file, deniedFiles)).forEach(file => problems.push(`${file} is denied`));
+    }
+
+    if (!_.isEmpty(allowFiles)) {
+      const allowed = _.castArray(allowFiles).concat(ALWAYS_INCLUDED_FILES);
+      filePaths.filter(file => !isMatch(file, allowed)).forEach(file => problems.push(`${file} is not allowed`));
+    }
+
+    if (maxPackageSize && size > parseSize(maxPackageSize)) {
+      problems.push(`Package size (${formatSize(size)}) exceeds the maximum of ${maxPackageSize}`);
+    }
+
+    if (problems.length) {
+      throw new NpmPackageCheckError(problems);
+    }
+  }
+
+  afterRelease() {
+    this.removeTarball();
+    if (!this.isPublished) return;
+    const published = _.isEmpty(this.published) ? [{}] : this.published;
+    published.forEach(target => this.log.log(`🔗 ${this.getPackageUrl(target)}`));
+  }
+
+  getPackageUrl({ registry, packageUrl } = {}) {
+    const { name } = this.options;
+    if (packageUrl) {
+      const { version } = this.config.getOptions();
+      return format(packageUrl, { name, version, registry });
+    }
+    if (!registry || _.includes(registry, NPM_REGISTRY_HOST)) {
+      return `${NPM_BASE_URL}${name}`;
+    }
+    return `${_.trimEnd(registry, '/')}/${name}`;
+  }
+
+  getPackageManager() {
+    const { packageManager } = this.options;
+    if (packageManager) return packageManager;
+    const [name, version] = _.get(this.config, 'localPackageManifest.packageManager', '').split('@');
+    if (name === 'pnpm') return 'pnpm';
+    if (name === 'yarn') return semver.valid(version) && semver.major(version) > 1 ? 'yarn' : 'npm';
+    const [, lockfileManager] = LOCKFILES.find(([lockfile]) => fs.existsSync(lockfile)) || [];
+    return lockfileManager === 'yarn' && !isYarnBerry() ? 'npm' : lockfileManager || 'npm';
+  }
+
+  getYarnCommand() {
+    const { name, publishPath = '.' } = this.options;
+    return publishPath === '.' ? 'yarn' : `yarn workspace ${name}`;
   }
 
-  getPackageUrl() {
-    return `${NPM_BASE_URL}${this.options.name}`;
+  getYarnRegistryEnv({ registry, tokenRef } = {}) {
+    if (!registry) return '';
+    const authEnv = tokenRef ? `YARN_NPM_AUTH_TOKEN=$${tokenRef}` : '';
+    return _.compact([`YARN_NPM_PUBLISH_REGISTRY=${registry}`, authEnv]).join(' ');
+  }
+
+  getRegistryArgs({ registry, tokenRef, scope } = {}) {
+    if (!registry) return '';
+    const registryArg = scope
+      ? `--${_.startsWith(scope, '@') ? scope : `@${scope}`}:registry=${registry}`
+      : `--registry ${registry}`;
+    const authKey = _.trimEnd(registry.replace(/^https?:/, ''), '/') + '/';
+    const authArg = tokenRef ? `--${authKey}:_authToken=$${tokenRef}` : '';
+    return _.compact([registryArg, authArg]).join(' ');
   }
 
   getTag({ tag = DEFAULT_TAG, version, isPreRelease } = {}) {
@@ -26,17 +325,159 @@ class npm {
     }
   }
 
-  publish({ tag = this.options.tag, version, isPreRelease, otp = this.options.otp, otpPrompt } = {}) {
-    const { name, publishPath = '.', access } = this.options;
-    const resolvedTag = this.getTag({ tag, version, isPreRelease });
-    const isScopedPkg = name.startsWith('@');
-    const accessArg = isScopedPkg && access ? `--access ${access}` : '';
-    const otpArg = otp ? `--otp ${otp}` : '';
-    const dryRunArg = this.options.isDryRun ? '--dry-run' : '';
+  async pack() {
+    const { name, publishPath = '.', publish, private: isPrivate } = this.options;
+    const packageManager = this.getPackageManager();
+    const dir = fs.mkdtempSync(path.join(tmpdir(), 'release-it-'));
+    this.tarballDir = dir;
+    try {
+      if (packageManager === 'yarn') {
+        const { version } = this.config.getOptions();
+        const tarball = path.join(dir, getTarballName(name, version));
+        await this.shell.run(`${this.getYarnCommand()} pack --out ${tarball}`);
+        this.log.verbose(`yarn pack: done (${tarball})`);
+        if (publish && !isPrivate) {
+          this.log.warn(
+            'The package is packed again by `yarn npm publish` (Yarn can not publish the uploaded tarball).'
+          );
+        }
+        return tarball;
+      }
+      const command = packageManager === 'pnpm' ? `pnpm --dir ${publishPath} pack` : `npm pack ${publishPath}`;
+      const stdout = await this.shell.run(command);
+      const filename = path.basename(_.last(stdout.split('\n')).trim());
+      const packedFile = packageManager === 'pnpm' ? path.join(publishPath, filename) : filename;
+      const tarball = path.join(dir, filename);
+      const { code, stderr } = sh.mv('-f', packedFile, tarball);
+      if (code !== 0) throw new Error(stderr);
+      this.tarball = tarball;
+      this.log.verbose(`${packageManager} pack: done (${tarball})`);
+      return tarball;
+    } catch (err) {
+      this.removeTarball();
+      throw err;
+    }
+  }
+
+  removeTarball() {
+    if (!this.tarballDir) return;
+    sh.rm('-rf', this.tarballDir);
+    this.tarball = this.tarballDir = null;
+  }
+
+  async publishAll(options) {
+    const { registries } = this;
+    for (const target of registries) {
+      if (this.published.some(published => isSameRegistry(published, target))) {
+        this.log.log(`Skipping npm publish to ${getRegistryLabel(target)} (already done)`);
+        continue;
+      }
+      try {
+        const tag = this.options.protectLatest ? await this.getProtectedTag(target, options) : undefined;
+        await this.publish(Object.assign({ target: tag ? Object.assign({}, target, { tag }) : target }, options));
+      } catch (err) {
+        if (registries.length > 1) this.logSummary(target);
+        throw err;
+      }
+    }
+  }
+
+  async getDistTags(target = {}) {
+    const { name } = this.options;
+    const command = _.compact([`npm view ${name} dist-tags --json`, this.getRegistryArgs(target)]).join(' ');
+    try {
+      return JSON.parse(await this.shell.run(command)) || {};
+    } catch (err) {
+      debug(err);
+      return {};
+    }
+  }
+
+  getDistTagContext(version) {
+    const [preReleaseId] = semver.prerelease(version) || [];
+    if (semver.valid(version)) {
+      return { version, major: semver.major(version), minor: semver.minor(version), preReleaseId };
+    }
+    const [, major, minor] = /^v?(\d+)(?:\.(\d+))?/.exec(version) || [];
+    return { version, major, minor, preReleaseId };
+  }
+
+  async getProtectedTag(target, { tag = this.options.tag, version, isPreRelease }) {
+    const resolvedTag = this.getTag({ tag: target.tag || tag, version, isPreRelease });
+    if (resolvedTag !== DEFAULT_TAG) return resolvedTag;
+    const { latest } = await this.getDistTags(target);
+    if (!latest || !semver.valid(version) || !semver.valid(latest) || semver.gt(version, latest)) return resolvedTag;
+    const maintenanceTag = format(this.options.maintenanceTag, this.getDistTagContext(version));
+    this.log.warn(`Not moving "latest" from ${latest} to ${version} (using "${maintenanceTag}" instead)`);
+    return maintenanceTag;
+  }
+
+  async getDistTagChanges({ version }) {
+    const { distTags, removePreReleaseTags } = this.options;
+    const context = this.getDistTagContext(version);
+    const tags = _.uniq(_.castArray(distTags || []).map(tag => format(tag, context)));
+    const published = _.isEmpty(this.published) ? [{ tag: this.tag }] : this.published;
+    const changes = [];
+    for (const target of published) {
+      const add = tags.filter(tag => tag !== target.tag);
+      const remove = {};
+      if (removePreReleaseTags && semver.valid(version) && !semver.prerelease(version)) {
+        _.forEach(await this.getDistTags(target), (tagVersion, tag) => {
+          const isStale = semver.prerelease(tagVersion) && semver.lt(tagVersion, version);
+          if (isStale && tag !== target.tag && !_.includes(add, tag)) remove[tag] = tagVersion;
+        });
+      }
+      if (add.length || !_.isEmpty(remove)) changes.push({ target, add, remove });
+    }
+    return changes;
+  }
+
+  formatDistTagChanges(changes) {
+    return _.flatMap(changes, ({ target, add, remove }) => [
+      ...(changes.length > 1 ? [`${getRegistryLabel(target)}:`] : []),
+      ...add.map(tag => `+ ${tag}`),
+      ..._.map(remove, (tagVersion, tag) => `- ${tag} (${tagVersion})`)
+    ]).join(EOL);
+  }
+
+  async updateDistTags({ version, changes }) {
+    const { name } = this.options;
+    for (const change of changes) {
+      const { target, add, remove } = change;
+      const registryArgs = this.getRegistryArgs(target);
+      for (const tag of add) {
+        await this.shell.run(
+          _.compact([`npm dist-tag add ${name}@${version} ${tag}`, registryArgs]).join(' '),
+          Shell.writes
+        );
+      }
+      for (const tag of _.keys(remove)) {
+        await this.shell.run(_.compact([`npm dist-tag rm ${name} ${tag}`, registryArgs]).join(' '), Shell.writes);
+      }
+      this.distTagChanges.push(change);
+      this.setState({ distTagChanges: this.distTagChanges });
+    }
+  }
+
+  logSummary(failedTarget) {
+    const results = this.registries.map(target => {
+      const isPublished = this.published.some(published => isSameRegistry(published, target));
+      const result = isPublished ? 'published' : target === failedTarget ? 'failed' : 'not published';
+      return `${getRegistryLabel(target)}: ${result}`;
+    });
+    this.log.warn(['npm publish summary:', ...results].join(EOL));
+  }
+
+  publish({ tag = this.options.tag, version, isPreRelease, otp = this.options.otp, otpPrompt, target = {} } = {}) {
+    const resolvedTag = this.getTag({ tag: target.tag || tag, version, isPreRelease });
+    const command = this.getPublishCommand({ tag: resolvedTag, otp, target });
     return this.shell
-      .run(`npm publish ${publishPath} --tag ${resolvedTag} ${accessArg} ${otpArg} ${dryRunArg}`)
+      .run(command, Shell.writes)
       .then(() => {
         this.isPublished = true;
+        this.tag = resolvedTag;
+        this.published.push(Object.assign({}, target, { tag: resolvedTag }));
+        this.setState({ isPublished: true, tag: resolvedTag, published: this.published });
       })
       .catch(err => {
         debug(err);
@@ -45,12 +486,69 @@ class npm {
             this.log.warn('The provided OTP is incorrect or has expired.');
           }
           if (otpPrompt) {
-            return otpPrompt(otp => this.publish({ tag, version, isPreRelease, otp, otpPrompt }));
+            return otpPrompt(otp => this.publish({ tag, version, isPreRelease, otp, otpPrompt, target }));
           }
         }
         throw err;
       });
   }
+
+  getPublishCommand({ tag, otp, target }) {
+    const { name, publishPath = '.', access } = this.options;
+    const packageManager = this.getPackageManager();
+    const isScopedPkg = name.startsWith('@');
+    const accessArg = isScopedPkg && access ? `--access ${access}` : '';
+    const otpArg = otp ? `--otp ${otp}` : '';
+    if (packageManager === 'yarn') {
+      const env = this.getYarnRegistryEnv(target);
+      return _.compact([env, `${this.getYarnCommand()} npm publish`, `--tag ${tag}`, accessArg, otpArg]).join(' ');
+    }
+    const gitChecksArg = packageManager === 'pnpm' ? '--no-git-checks' : '';
+    return _.compact([
+      `${packageManager} publish`,
+      this.tarball || publishPath,
+      `--tag ${tag}`,
+      this.getRegistryArgs(target),
+      accessArg,
+      otpArg,
+      gitChecksArg
+    ]).join(' ');
+  }
+
+  async rollback() {
+    this.removeTarball();
+    if (!this.isPublished) return;
+    const { name } = this.options;
+    const { version, latestVersion } = this.config.getOptions();
+    const undoCommands = _.flatMap(this.distTagChanges, ({ target, add, remove }) => [
+      ...add.map(tag => [`npm dist-tag rm ${name} ${tag}`, target]),
+      ..._.map(remove, (tagVersion, tag) => [`npm dist-tag add ${name}@${tagVersion} ${tag}`, target])
+    ]);
+    for (const [command, target] of undoCommands) {
+      const fullCommand = _.compact([command, this.getRegistryArgs(target)]).join(' ');
+      await this.shell.run(fullCommand, Shell.undo).catch(err => {
+        debug(err);
+        this.log.warn(`Could not undo npm dist-tag (${fullCommand})`);
+      });
+    }
+    const published = _.isEmpty(this.published) ? [{ tag: this.tag }] : this.published;
+    for (const target of published) {
+      const tag = target.tag || DEFAULT_TAG;
+      const registryArgs = this.getRegistryArgs(target);
+      const distTagCommand =
+        tag === DEFAULT_TAG && latestVersion
+          ? `npm dist-tag add ${name}@${latestVersion} ${tag}`
+          : `npm dist-tag rm ${name} ${tag}`;
+      const deprecateCommand = `npm deprecate ${name}@${version} "Release ${version} was rolled back"`;
+      for (const command of [distTagCommand, deprecateCommand]) {
+        const fullCommand = _.compact([command, registryArgs]).join(' ');
+        await this.shell.run(fullCommand, Shell.undo).catch(err => {
+          debug(err);
+          this.log.warn(`Could not undo npm publish (${fullCommand})`);
+        });
+      }
+    }
+  }
 }
 
 module.exports = npm;
@@ -0,0 +1,154 @@
+const _ = require('lodash');
+const Scheme = require('./scheme');
+
+const versionRe = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:-(\d+)|[-_.]?(post|rev|r)[-_.]?(\d+)?)?(?:[-_.]?(dev)[-_.]?(\d+)?)?$/i;
+const coerceRe = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/;
+
+const phases = ['a', 'b', 'rc'];
+const phaseAliases = { alpha: 'a', beta: 'b', c: 'rc', pre: 'rc', preview: 'rc' };
+const releaseIndex = { major: 0, minor: 1, micro: 2 };
+
+const getPhase = id => {
+  const phase = _.toLower(id);
+  return _.get(phaseAliases, phase, phase);
+};
+
+const toNumber = value => (value === undefined ? 0 : Number(value));
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const valueA = toNumber(a[i]);
+    const valueB = toNumber(b[i]);
+    if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+  }
+  return 0;
+};
+
+class PEP440 extends Scheme {
+  constructor(options) {
+    super(Object.assign({ name: 'pep440' }, options));
+  }
+
+  get releaseTypes() {
+    return ['micro', 'minor', 'major'];
+  }
+
+  get preReleaseTypes() {
+    return ['premicro', 'preminor', 'premajor'];
+  }
+
+  get continuationTypes() {
+    return ['prerelease'];
+  }
+
+  get aliases() {
+    return {
+      patch: 'micro',
+      prepatch: 'premicro',
+      pre: 'prerelease'
+    };
+  }
+
+  parse(version) {
+    const match = versionRe.exec(version);
+    if (!match) return null;
+    const [, epoch, release, phase, phaseNumber, implicitPost, postLabel, post, devLabel, dev] = match;
+    return {
+      epoch: toNumber(epoch),
+      release: release.split('.').map(Number),
+      preRelease: phase ? [getPhase(phase), toNumber(phaseNumber)] : null,
+      post: implicitPost || postLabel ? toNumber(implicitPost || post) : null,
+      dev: devLabel ? toNumber(dev) : null
+    };
+  }
+
+  stringify({ epoch, release, preRelease, post, dev }) {
+    return [
+      epoch ? `${epoch}!` : '',
+      release.join('.'),
+      preRelease ? preRelease.join('') : '',
+      post !== null ? `.post${post}` : '',
+      dev !== null ? `.dev${dev}` : ''
+    ].join('');
+  }
+
+  valid(version) {
+    const parsed = this.parse(version);
+    return parsed ? this.stringify(parsed) : null;
+  }
+
+  getKey({ epoch, release, preRelease, post, dev }) {
+    const preKey = preRelease
+      ? [phases.indexOf(preRelease[0]), preRelease[1]]
+      : dev !== null && post === null
+      ? [-Infinity]
+      : [Infinity];
+    return [[epoch], release, preKey, [post === null ? -Infinity : post], [dev === null ? Infinity : dev]];
+  }
+
+  compare(a, b) {
+    const versionA = this.parse(a);
+    const versionB = this.parse(b);
+    if (!versionA || !versionB) return versionA ? 1 : versionB ? -1 : 0;
+    const keyA = this.getKey(versionA);
+    const keyB = this.getKey(versionB);
+    for (let i = 0; i < keyA.length; i++) {
+      const result = compareKeys(keyA[i], keyB[i]);
+      if (result) return result;
+    }
+    return 0;
+  }
+
+  bumpRelease(parsed, type) {
+    const index = releaseIndex[type];
+    const release = _.range(Math.max(parsed.release.length, 3)).map(i => toNumber(parsed.release[i]));
+    const isPending = Boolean(parsed.preRelease) || parsed.dev !== null;
+    const isUnbumped = release.slice(index + 1).every(part => part === 0);
+    if (!(isPending && parsed.post === null && isUnbumped)) {
+      release[index]++;
+    }
+    return release.map((part, i) => (i > index ? 0 : part));
+  }
+
+  inc(version, type, preReleaseId) {
+    const parsed = this.parse(version);
+    const normalizedType = this.normalizeType(type);
+    if (!parsed) return null;
+    const phase = getPhase(preReleaseId || 'a');
+    if (preReleaseId && !_.includes(phases, phase)) return null;
+    const next = { epoch: parsed.epoch, release: parsed.release, preRelease: null, post: null, dev: null };
+
+    if (_.includes(this.releaseTypes, normalizedType)) {
+      next.release = this.bumpRelease(parsed, normalizedType);
+    } else if (_.includes(this.preReleaseTypes, normalizedType)) {
+      const stable = Object.assign({}, parsed, { preRelease: null, dev: null });
+      next.release = this.bumpRelease(stable, normalizedType.slice(3));
+      next.preRelease = [phase, 0];
+    } else if (normalizedType === 'prerelease') {
+      if (parsed.preRelease && parsed.post === null) {
+        const [currentPhase, number] = parsed.preRelease;
+        const isSamePhase = !preReleaseId || currentPhase === phase;
+        next.preRelease = isSamePhase ? [currentPhase, number + 1] : [phase, 0];
+      } else {
+        const stable = Object.assign({}, parsed, { preRelease: null, dev: null });
+        next.release = this.bumpRelease(stable, 'micro');
+        next.preRelease = [phase, 0];
+      }
+    } else {
+      return null;
+    }
+    return this.stringify(next);
+  }
+
+  coerce(version) {
+    const match = coerceRe.exec(version);
+    return match
+      ? match
+          .slice(1)
+          .map(toNumber)
+          .join('.')
+      : null;
+  }
+}
+
+module.exports = PEP440;
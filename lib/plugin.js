@@ -0,0 +1,114 @@
+const _ = require('lodash');
+const Log = require('./log');
+const Shell = require('./shell');
+const Config = require('./config');
+const Spinner = require('./spinner');
+const State = require('./state');
+const prompt = require('./prompt');
+
+const noop = Promise.resolve();
+
+class Plugin {
+  constructor(...args) {
+    const options = Object.assign({}, ...args);
+    this.options = options;
+    this.namespace = options.namespace;
+    this.log = options.log || new Log();
+    this.config = options.config || new Config();
+    this.shell = options.shell || new Shell({ log: this.log, config: this.config });
+    this.spinner = options.spinner || new Spinner(this.config);
+    this.state = options.state || new State({ isEnabled: false });
+  }
+
+  get isInteractive() {
+    return this.config.isInteractive;
+  }
+
+  init() {
+    return noop;
+  }
+
+  validate() {
+    return noop;
+  }
+
+  getLatestVersion() {
+    return null;
+  }
+
+  validateRelease() {
+    return noop;
+  }
+
+  bump() {
+    return noop;
+  }
+
+  beforeRelease() {
+    return noop;
+  }
+
+  release() {
+    return noop;
+  }
+
+  afterRelease() {
+    return noop;
+  }
+
+  rollback() {
+    return noop;
+  }
+
+  getContext() {
+    return Object.assign(this.config.getOptions(), { [this.namespace]: this.options });
+  }
+
+  registerPrompts(prompts) {
+    prompt.register(prompts);
+  }
+
+  showPrompt(promptName, task, shouldPrompt = true) {
+    return prompt(shouldPrompt, this.getContext(), promptName, task);
+  }
+
+  getStateKey(stepName) {
+    return _.compact([this.options.statePrefix, this.namespace, stepName]).join('.');
+  }
+
+  getState() {
+    return this.state.get(['plugins', this.getStateKey()]);
+  }
+
+  setState(data) {
+    this.state.set(['plugins', this.getStateKey()], Object.assign({}, this.getState(), data));
+  }
+
+  isDone(stepName) {
+    return this.state.isDone(this.getStateKey(stepName));
+  }
+
+  async once(stepName, task) {
+    const key = this.getStateKey(stepName);
+    if (this.state.isDone(key)) {
+      this.log.log(`Skipping ${key} (already done)`);
+      return;
+    }
+    const result = await task();
+    this.state.done(key);
+    return result;
+  }
+
+  step({ enabled = true, task, label, prompt: promptName, id }) {
+    if (enabled && id && this.isDone(id)) {
+      return this.once(id, task);
+    }
+    const stepTask = id ? (...args) => this.once(id, () => task(...args)) : task;
+    if (this.isInteractive && promptName) {
+      return this.showPrompt(promptName, stepTask, enabled);
+    }
+    return this.spinner.show({ enabled, task: stepTask, label });
+  }
+}
+
+module.exports = Plugin;
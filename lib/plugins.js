@@ -0,0 +1,54 @@
+const path = require('path');
+const { PluginNotFoundError } = require('./errors');
+const { debug } = require('./debug');
+
+const isLocalPath = name => /^\.{1,2}\//.test(name) || path.isAbsolute(name);
+
+const requireModule = name => {
+  const modulePaths = isLocalPath(name) ? [path.resolve(name)] : [path.resolve('node_modules', name), name];
+  for (const modulePath of modulePaths) {
+    try {
+      return require(modulePath);
+    } catch (err) {
+      debug(err);
+      if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    }
+  }
+  return null;
+};
+
+const load = name => {
+  const Plugin = requireModule(name);
+  if (!Plugin) {
+    throw new PluginNotFoundError(name);
+  }
+  return Plugin;
+};
+
+const getPlugins = (plugins = {}, container = {}) =>
+  Object.keys(plugins).map(name => {
+    const Plugin = load(name);
+    return new Plugin({ namespace: name }, plugins[name], container);
+  });
+
+const getLatestVersion = async plugins => {
+  for (const plugin of plugins) {
+    const version = await plugin.getLatestVersion();
+    if (version) return version;
+  }
+  return null;
+};
+
+const lifecycle = async (plugins, method, ...args) => {
+  for (const plugin of plugins) {
+    await plugin[method](...args);
+  }
+};
+
+module.exports = {
+  requireModule,
+  load,
+  getPlugins,
+  getLatestVersion,
+  lifecycle
+};
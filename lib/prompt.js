@@ -1,20 +1,21 @@
 const inquirer = require('inquirer');
-const semver = require('semver');
+const _ = require('lodash');
 const chalk = require('chalk');
-const { format, truncateLines } = require('./util');
-const { releaseTypes, preReleaseTypes, continuationTypes } = require('./version');
+const { getScheme } = require('./versioning');
 
 const noop = Promise.resolve();
 
 const getIncrementChoices = context => {
+  const scheme = getScheme(context.versioning);
+  const { releaseTypes, preReleaseTypes, continuationTypes } = scheme;
   const types = context.latestIsPreRelease
-    ? [...releaseTypes, continuationTypes[0]]
+    ? [...releaseTypes, ..._.take(continuationTypes, 1)]
     : context.isPreRelease
     ? preReleaseTypes
     : [...releaseTypes, ...preReleaseTypes];
   return types
     .map(increment => ({
-      name: `${increment} (${semver.inc(context.latestVersion, increment, context.preReleaseId)})`,
+      name: `${increment} (${scheme.inc(context.latestVersion, increment, context.preReleaseId)})`,
       value: increment
     }))
     .concat([
@@ -25,12 +26,19 @@ const getIncrementChoices = context => {
     ]);
 };
 
-const versionTransformer = context => input =>
-  semver.valid(input)
-    ? semver.gt(input, context.latestVersion)
+const versionTransformer = context => input => {
+  const scheme = getScheme(context.versioning);
+  return scheme.valid(input)
+    ? scheme.gt(input, context.latestVersion)
       ? chalk.green(input)
       : chalk.red(input)
     : chalk.redBright(input);
+};
+
+const versionValidator = context => input => {
+  const scheme = getScheme(context.versioning);
+  return !!scheme.valid(input) || `The version must follow the ${scheme.name} standard.`;
+};
 
 const prompts = {
   incrementList: {
@@ -43,39 +51,11 @@ const prompts = {
     type: 'input',
     message: () => `Please enter a valid version:`,
     transformer: context => versionTransformer(context),
-    validate: input => !!semver.valid(input) || 'The version must follow the semver standard.'
-  },
-  commit: {
-    type: 'confirm',
-    message: context => `Commit (${truncateLines(format(context.git.commitMessage, context), 1, ' [...]')})?`
-  },
-  tag: {
-    type: 'confirm',
-    message: context => `Tag (${format(context.git.tagName, context)})?`
-  },
-  push: {
-    type: 'confirm',
-    message: () => 'Push?'
-  },
-  ghRelease: {
-    type: 'confirm',
-    message: context =>
-      `Create a ${context.isPreRelease ? 'pre-' : ''}release on GitHub (${format(
-        context.github.releaseName,
-        context
-      )})?`
-  },
-  glRelease: {
-    type: 'confirm',
-    message: context => `Create a release on GitLab (${format(context.gitlab.releaseName, context)})?`
+    validate: context => versionValidator(context)
   },
-  publish: {
+  rollback: {
     type: 'confirm',
-    message: context => `Publish ${context.name}${context.npm.tag === 'latest' ? '' : `@${context.npm.tag}`} to npm?`
-  },
-  otp: {
-    type: 'input',
-    message: () => `Please enter OTP for npm:`
+    message: () => 'Roll back the completed release steps?'
   }
 };
 
@@ -86,7 +66,8 @@ module.exports = async (shouldPrompt, context, promptName, task) => {
     message: prompts[promptName].message(context),
     choices: 'choices' in prompts[promptName] && prompts[promptName].choices(context),
     transformer: 'transformer' in prompts[promptName] && prompts[promptName].transformer(context),
-    default: context.prompt[promptName]
+    validate: 'validate' in prompts[promptName] ? prompts[promptName].validate(context) : undefined,
+    default: _.get(context.prompt, promptName, prompts[promptName].default)
   });
 
   const answers = await inquirer.prompt([prompt]);
@@ -95,3 +76,5 @@ module.exports = async (shouldPrompt, context, promptName, task) => {
 
   return doExecute ? await task(answers[promptName]) : noop;
 };
+
+module.exports.register = pluginPrompts => Object.assign(prompts, pluginPrompts);
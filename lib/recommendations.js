@@ -1,6 +1,9 @@
 const conventionalRecommendedBump = require('conventional-recommended-bump');
 
 class Recommendations {
+  constructor({ scheme } = {}) {
+    this.scheme = scheme;
+  }
   getRecommendationDetails(increment) {
     const [system, preset] = (increment || '').split(':');
     return { system, preset };
@@ -24,7 +27,7 @@ class Recommendations {
         },
         (err, result) => {
           if (err) return reject(err);
-          resolve(result.releaseType);
+          resolve(this.scheme ? this.scheme.normalizeType(result.releaseType) : result.releaseType);
         }
       );
     });
@@ -1,16 +1,21 @@
+const fs = require('fs');
+const path = require('path');
 const _ = require('lodash');
 const repoPathParse = require('parse-repo');
-const Log = require('./log');
+const Plugin = require('./plugin');
 const Changelog = require('./changelog');
+const { format, getDate } = require('./util');
 const { TokenError } = require('./errors');
 
-class Release {
+class Release extends Plugin {
   constructor(...args) {
-    const options = Object.assign({}, ...args);
-    this.options = options;
-    this.repo = repoPathParse(options.remoteUrl);
-    this.log = options.log || new Log();
-    this.changelogs = options.changelogs || new Changelog();
+    super(...args);
+    this.repo = repoPathParse(this.options.remoteUrl);
+    this.changelogs = this.options.changelogs || new Changelog({ shell: this.shell });
+  }
+
+  init() {
+    Object.assign(this, this.getState());
   }
 
   validate() {
@@ -25,14 +30,60 @@ class Release {
     return _.get(process.env, tokenRef, null);
   }
 
-  async getNotes() {
-    const { releaseNotes } = this.options;
-    return releaseNotes ? await this.changelogs.create(releaseNotes) : null;
+  get hasCustomNotes() {
+    const { releaseNotes, releaseNotesTemplate } = this.options;
+    return Boolean(releaseNotes || releaseNotesTemplate);
+  }
+
+  async getNotes({ version, changelog } = {}) {
+    const { releaseNotes, releaseNotesTemplate } = this.options;
+    if (releaseNotesTemplate) {
+      const context = await this.getNotesContext({ version, changelog });
+      return _.trim(format(this.getNotesTemplate(), context)).replace(/\n{3,}/g, '\n\n');
+    }
+    return releaseNotes ? await this.changelogs.create(releaseNotes) : changelog;
+  }
+
+  getNotesTemplate() {
+    const { releaseNotesTemplate } = this.options;
+    const file =
+      releaseNotesTemplate === true
+        ? path.resolve(__dirname, '../conf/release-notes', `${this.namespace}.md`)
+        : path.resolve(releaseNotesTemplate);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : releaseNotesTemplate;
+  }
+
+  async getNotesContext({ version, changelog }) {
+    const { latestTag, dir } = this.config.getOptions();
+    const commits = await this.changelogs.getCommits(latestTag, { path: dir });
+    const contributors = _.map(_.groupBy(commits, 'author.email'), commits =>
+      Object.assign({ commits: commits.length }, commits[0].author)
+    );
+    const context = Object.assign(this.getContext(), { version });
+    const tagName = format(this.options.tagName, context);
+    return Object.assign(context, {
+      changelog,
+      latestTag,
+      tagName,
+      date: getDate(),
+      repo: this.repo,
+      commits,
+      contributors
+    });
+  }
+
+  async getNpmPackage() {
+    const { npmPack, npmClient } = this.options;
+    return npmPack && npmClient ? [await npmClient.pack()] : [];
   }
 
   getReleaseUrl() {
     return this.releaseUrl;
   }
+
+  afterRelease() {
+    this.isReleased && this.log.log(`🔗 ${this.getReleaseUrl()}`);
+  }
 }
 
 module.exports = Release;
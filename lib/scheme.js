@@ -0,0 +1,66 @@
+const _ = require('lodash');
+
+class Scheme {
+  constructor({ name, format } = {}) {
+    this.name = name;
+    this.format = format;
+  }
+
+  get initialVersion() {
+    return '0.0.0';
+  }
+
+  get releaseTypes() {
+    return [];
+  }
+
+  get preReleaseTypes() {
+    return [];
+  }
+
+  get continuationTypes() {
+    return [];
+  }
+
+  get aliases() {
+    return {};
+  }
+
+  normalizeType(type) {
+    return _.has(this.aliases, type) ? this.aliases[type] : type;
+  }
+
+  parse() {
+    return null;
+  }
+
+  valid(version) {
+    return this.parse(version) ? String(version).replace(/^v/, '') : null;
+  }
+
+  prerelease(version) {
+    return _.get(this.parse(version), 'preRelease', null);
+  }
+
+  compare() {
+    return 0;
+  }
+
+  gt(a, b) {
+    return this.compare(a, b) > 0;
+  }
+
+  gte(a, b) {
+    return this.compare(a, b) >= 0;
+  }
+
+  inc() {
+    return null;
+  }
+
+  coerce() {
+    return null;
+  }
+}
+
+module.exports = Scheme;
@@ -28,7 +28,11 @@ class Shell {
     const isSilent = sh.config.silent;
     const isVerbose = typeof options.verbose === 'boolean' ? options.verbose : this.isVerbose;
 
-    this.log.exec(normalizedCmd);
+    if (options.isUndo) {
+      this.log.undo(normalizedCmd);
+    } else {
+      this.log.exec(normalizedCmd);
+    }
 
     if (this.isDryRun && options.isReadOnly === Shell.writes.isReadOnly) {
       this.log.dry();
@@ -99,4 +103,6 @@ class Shell {
 
 Shell.writes = { isReadOnly: false };
 
+Shell.undo = { isReadOnly: false, isUndo: true };
+
 module.exports = Shell;
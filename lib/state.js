@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const sh = require('shelljs');
+const _ = require('lodash');
+const { debug } = require('./debug');
+
+const STATE_FILE = '.release-it/state.json';
+const GITIGNORE_FILE = '.gitignore';
+const GITIGNORE_CONTENT = '*\n';
+
+class State {
+  constructor({ file = STATE_FILE, isEnabled = true } = {}) {
+    this.file = path.resolve(file);
+    this.isEnabled = isEnabled;
+    this.data = { steps: {} };
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  load() {
+    if (!this.exists()) return false;
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      debug(err);
+      return false;
+    }
+    return true;
+  }
+
+  reset(data = {}) {
+    this.data = Object.assign({ steps: {} }, data);
+    this.save();
+  }
+
+  save() {
+    if (!this.isEnabled) return;
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      sh.mkdir('-p', dir);
+      fs.writeFileSync(path.join(dir, GITIGNORE_FILE), GITIGNORE_CONTENT);
+    }
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+
+  clear() {
+    this.data = { steps: {} };
+    if (!this.isEnabled || !this.exists()) return;
+    sh.rm('-f', this.file);
+    const dir = path.dirname(this.file);
+    const gitignore = path.join(dir, GITIGNORE_FILE);
+    const files = fs.readdirSync(dir);
+    const isOwnGitignore =
+      _.isEqual(files, [GITIGNORE_FILE]) && fs.readFileSync(gitignore, 'utf8') === GITIGNORE_CONTENT;
+    if (_.isEmpty(files) || isOwnGitignore) sh.rm('-rf', dir);
+  }
+
+  get(key) {
+    return _.get(this.data, key);
+  }
+
+  set(key, value) {
+    _.set(this.data, key, value);
+    this.save();
+  }
+
+  isDone(step) {
+    return Boolean(this.data.steps[step]);
+  }
+
+  done(step) {
+    this.data.steps[step] = true;
+    this.save();
+  }
+}
+
+module.exports = State;
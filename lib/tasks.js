@@ -1,4 +1,5 @@
 const { EOL } = require('os');
+const _ = require('lodash');
 const Logger = require('./log');
 const Config = require('./config');
 const Shell = require('./shell');
@@ -6,23 +7,31 @@ const Git = require('./git');
 const GitDist = require('./git-dist');
 const GitHub = require('./github');
 const GitLab = require('./gitlab');
+const Bitbucket = require('./bitbucket');
+const Gitea = require('./gitea');
 const npm = require('./npm');
+const Workspaces = require('./workspaces');
 const Version = require('./version');
 const Changelog = require('./changelog');
+const ChangelogFile = require('./changelog-file');
 const prompt = require('./prompt');
 const Spinner = require('./spinner');
 const Metrics = require('./metrics');
+const State = require('./state');
+const { getPlugins, getLatestVersion, lifecycle } = require('./plugins');
 const { logPreview } = require('./util');
 const { debug } = require('./debug');
 const handleDeprecated = require('./deprecated');
+const { ReleaseStateNotFoundError } = require('./errors');
 
 module.exports = async opts => {
   const config = new Config(opts);
 
-  const { isInteractive, isVerbose, isDryRun, isDebug } = config;
+  const { isInteractive, isVerbose, isDryRun, isDebug, isContinue } = config;
   const log = new Logger({ isInteractive, isVerbose, isDryRun });
   const metrics = new Metrics({ isEnabled: config.isCollectMetrics });
   const s = new Spinner({ isInteractive, isVerbose, isDryRun, isDebug });
+  const state = new State({ isEnabled: !isDryRun });
 
   try {
     const options = handleDeprecated(config.getOptions());
@@ -33,54 +42,97 @@ module.exports = async opts => {
     const { beforeStart, beforeBump, afterBump, beforeStage } = scripts;
 
     const shell = new Shell({ isVerbose, isDryRun, log, config });
-    const gitClient = new Git(options.git, { log, shell });
-    const gitDistClient = new GitDist(options.git, dist.git, dist, { log, shell });
-    let changelog;
     const changelogs = new Changelog({ shell });
+    const container = { config, log, shell, spinner: s, changelogs, state, isDryRun };
+    const gitClient = new Git(options.git, container);
+    const gitDistClient = new GitDist(options.git, dist.git, dist, container, { statePrefix: 'dist' });
+
+    if (isContinue) {
+      if (!state.load()) throw new ReleaseStateNotFoundError(state.file);
+    } else if (state.exists()) {
+      log.warn('Found the state of an unfinished release. Use `--continue` to continue that release instead.');
+    }
 
     await gitClient.init();
     await gitClient.validate();
     gitDistClient.validate();
 
     const { latestTag, isRootDir } = gitClient;
+    const isFixed = Boolean(options.workspaces.fixed);
+    const isWorkspaces = Boolean(options.workspaces.release) && !isFixed;
 
     const remoteUrl = gitClient.remoteUrl;
     const run = shell.runTemplateCommand.bind(shell);
 
-    const ghClient = new GitHub(options.github, options.git, { isDryRun, log, changelogs, remoteUrl });
-    const glClient = new GitLab(options.gitlab, options.git, { isDryRun, log, changelogs, remoteUrl });
-    const npmClient = new npm(options.npm, { isDryRun, shell, log });
+    const npmClient = new npm(options.npm, container);
+    const ghClient = new GitHub(options.github, options.git, container, { remoteUrl, npmClient });
+    const glClient = new GitLab(options.gitlab, options.git, container, { remoteUrl, npmClient });
+    const bbClient = new Bitbucket(options.bitbucket, options.git, container, { remoteUrl });
+    const gtClient = new Gitea(options.gitea, options.git, container, { remoteUrl });
+    const plugins = getPlugins(options.plugins, container);
+    const otherClients = [ghClient, glClient, bbClient, gtClient, npmClient, ...plugins];
+    const clients = [gitClient, ...otherClients];
+    const providerClients = [ghClient, glClient, bbClient, gtClient];
+    const changelogFile = new ChangelogFile(options.changelogFile, container, { gitClient, providerClients });
+    const wsClient = isWorkspaces || isFixed ? new Workspaces(options.workspaces, container, { gitClient }) : null;
+
+    await lifecycle(otherClients, 'init');
+    await lifecycle(otherClients, 'validate');
+
+    if (wsClient) {
+      await wsClient.init();
+      await wsClient.validate();
+    }
 
-    ghClient.validate();
-    glClient.validate();
+    const getWorkspacesClients = packages =>
+      _.flatMap(packages, pkg => {
+        const { name, dir, isPrivate, latestTag, latestVersion, version, isPreRelease, changelog } = pkg;
+        const pkgConfig = config.fork({ name, dir, latestTag, latestVersion, version, isPreRelease, changelog });
+        const pkgContainer = Object.assign({}, container, { config: pkgConfig });
+        const { tagName, releaseName } = options.workspaces;
+        const releaseOptions = { remoteUrl, tagName, releaseName, statePrefix: name };
+        const npmClient = new npm(options.npm, pkgContainer, {
+          name,
+          private: isPrivate,
+          publishPath: dir,
+          statePrefix: name
+        });
+        return [
+          new GitHub(options.github, options.git, pkgContainer, releaseOptions, { npmClient }),
+          new GitLab(options.gitlab, options.git, pkgContainer, releaseOptions, { npmClient }),
+          new Bitbucket(options.bitbucket, options.git, pkgContainer, releaseOptions),
+          new Gitea(options.gitea, options.git, pkgContainer, releaseOptions),
+          npmClient
+        ];
+      });
 
-    const getChangelog = async () => {
-      const changelog = await changelogs.create(scripts.changelog, latestTag);
-      logPreview(log, 'changelog', changelog, !v.version && EOL);
-      return changelog;
+    const getFixedNpmClients = () =>
+      wsClient
+        .sort(wsClient.packages)
+        .filter(pkg => !pkg.isPrivate)
+        .map(({ name, dir }) => {
+          const pkgOptions = { name, private: false, publishPath: dir, statePrefix: name };
+          return new npm(options.npm, container, pkgOptions);
+        });
+
+    const fixedNpmClients = isFixed ? getFixedNpmClients() : [];
+
+    let releaseClients = clients;
+
+    const validateRelease = async packages => {
+      if (isWorkspaces) {
+        releaseClients = [wsClient, ...getWorkspacesClients(packages), ...plugins];
+        await lifecycle(releaseClients, 'init');
+        await lifecycle(releaseClients, 'validate');
+      } else if (isFixed) {
+        releaseClients = [gitClient, ghClient, glClient, bbClient, gtClient, npmClient, ...fixedNpmClients, ...plugins];
+        await lifecycle(fixedNpmClients, 'init');
+        await lifecycle(fixedNpmClients, 'validate');
+      }
+      await lifecycle(releaseClients, 'validateRelease');
     };
 
-    await s.show({ enabled: beforeStart, task: () => run(beforeStart), label: beforeStart, forced: true });
-
-    const v = new Version({ preReleaseId: options.preReleaseId, log });
-    v.setLatestVersion({ use, gitTag: latestTag, pkgVersion: options.npm.version, isRootDir });
-    await v.bump({ increment: options.increment, preRelease: options.preRelease });
-
-    config.setRuntimeOptions(v.details);
-    const { latestVersion } = v;
-
-    const suffix = v.version ? `${latestVersion}...${v.version}` : `currently at ${latestVersion}`;
-    log.log(`${EOL}🚀 Let's release ${name} (${suffix})`);
-
-    // TODO: don't use class-in-class
-    const isLateChangeLog = v.recs.isRecommendation(options.increment);
-    if (!isLateChangeLog) {
-      changelog = await getChangelog();
-      config.setRuntimeOptions({ changelog });
-    }
-
-    if (isInteractive && !v.version) {
-      const context = config.getOptions();
+    const promptVersion = async (v, context) => {
       await prompt(true, context, 'incrementList', async increment => {
         if (increment) {
           await v.bump({ increment });
@@ -90,122 +142,241 @@ module.exports = async opts => {
           });
         }
       });
-    }
+    };
 
-    v.validate();
-    config.setRuntimeOptions(v.details);
-    const { version, isPreRelease } = v.details;
+    const prepareRelease = async () => {
+      let changelog;
 
-    if (isInteractive && pkgFiles && options.git.requireCleanWorkingDir) {
-      process.on('SIGINT', () => gitClient.reset(pkgFiles));
-      process.on('exit', () => gitClient.reset(pkgFiles));
-    }
+      const getChangelog = async () => {
+        const changelog = await changelogs.create(scripts.changelog, latestTag, { repo: gitClient.repo });
+        logPreview(log, 'changelog', changelog, !v.version && EOL);
+        return changelog;
+      };
 
-    await s.show({ enabled: beforeBump, task: () => run(beforeBump), label: beforeBump, forced: true });
-    await s.show({ task: () => shell.bump(pkgFiles, version), label: 'Bump version' });
-    await s.show({ enabled: afterBump, task: () => run(afterBump), label: afterBump, forced: true });
+      await s.show({ enabled: beforeStart, task: () => run(beforeStart), label: beforeStart, forced: true });
 
-    if (isLateChangeLog) {
-      changelog = await getChangelog();
-      config.setRuntimeOptions({ changelog });
-    }
+      const v = new Version({ preReleaseId: options.preReleaseId, versioning: options.versioning, log });
+      v.setLatestVersion({
+        use,
+        gitTag: gitClient.getLatestVersion(),
+        pkgVersion: npmClient.getLatestVersion(),
+        pluginVersion: await getLatestVersion(plugins),
+        isRootDir
+      });
+      await v.bump({ increment: options.increment, preRelease: options.preRelease });
 
-    await s.show({ enabled: beforeStage, task: () => run(beforeStage), label: beforeStage, forced: true });
-    await gitClient.stage(pkgFiles);
-    await gitClient.stageDir();
+      config.setRuntimeOptions(Object.assign({ latestTag }, v.details));
+      const { latestVersion } = v;
 
-    if (options.dist.repo) {
-      const { scripts, repo, stageDir, files, baseDir, pkgFiles } = options.dist;
-      const { beforeStage } = scripts;
-      await s.show({ task: () => gitDistClient.clone(repo, stageDir), label: 'Clone' });
-      await shell.copy(files, stageDir, { cwd: baseDir });
-      await shell.pushd(stageDir);
-      await shell.bump(pkgFiles, version);
+      const suffix = v.version ? `${latestVersion}...${v.version}` : `currently at ${latestVersion}`;
+      log.log(`${EOL}🚀 Let's release ${name} (${suffix})`);
+
+      // TODO: don't use class-in-class
+      const isLateChangeLog = v.recs.isRecommendation(options.increment);
+      if (!isLateChangeLog) {
+        changelog = await getChangelog();
+        config.setRuntimeOptions({ changelog });
+      }
+
+      if (isInteractive && !v.version) {
+        await promptVersion(v, config.getOptions());
+      }
+
+      v.validate();
+      config.setRuntimeOptions(v.details);
+      const { version } = v.details;
+
+      if (isInteractive && pkgFiles && options.git.requireCleanWorkingDir) {
+        process.on('SIGINT', () => gitClient.reset(pkgFiles));
+        process.on('exit', () => gitClient.reset(pkgFiles));
+      }
+
+      await s.show({ enabled: beforeBump, task: () => run(beforeBump), label: beforeBump, forced: true });
+      await validateRelease();
+      await s.show({ task: () => shell.bump(pkgFiles, version), label: 'Bump version' });
+      await lifecycle(clients, 'bump', version);
+      if (isFixed) {
+        const releases = wsClient.getFixedReleases(version);
+        await s.show({ task: () => wsClient.bumpManifests(releases), label: 'Bump workspace versions' });
+      }
+      await s.show({ enabled: afterBump, task: () => run(afterBump), label: afterBump, forced: true });
+
+      if (isLateChangeLog) {
+        changelog = await getChangelog();
+        config.setRuntimeOptions({ changelog });
+      }
+
+      await s.show({
+        enabled: options.changelogFile.write,
+        task: () => changelogFile.write(changelog),
+        label: `Update ${options.changelogFile.file}`
+      });
       await s.show({ enabled: beforeStage, task: () => run(beforeStage), label: beforeStage, forced: true });
-      await gitDistClient.stageDir();
-      await shell.popd();
-    }
+      await gitClient.stage(pkgFiles);
+      await gitClient.stageDir();
+
+      if (options.dist.repo) {
+        const { scripts, repo, stageDir, files, baseDir, pkgFiles } = options.dist;
+        const { beforeStage } = scripts;
+        await s.show({ task: () => gitDistClient.clone(repo, stageDir), label: 'Clone' });
+        await shell.copy(files, stageDir, { cwd: baseDir });
+        await shell.pushd(stageDir);
+        await shell.bump(pkgFiles, version);
+        await s.show({ enabled: beforeStage, task: () => run(beforeStage), label: beforeStage, forced: true });
+        await gitDistClient.stageDir();
+        await shell.popd();
+      }
 
-    const release = async ({ gitClient, ghClient, glClient, npmClient, scripts }) => {
-      const { afterRelease } = scripts;
-      const git = gitClient.options;
-      const github = ghClient.options;
-      const gitlab = glClient.options;
-      const npm = npmClient.options;
-      const context = Object.assign(config.getOptions(), { git, github, gitlab, npm });
-
-      const commit = () => gitClient.commit();
-      const tag = () => gitClient.tag();
-      const push = () => gitClient.push();
-      const ghRelease = () => ghClient.release({ version, isPreRelease, changelog });
-      const ghUploadAssets = () => ghClient.uploadAssets();
-      const ghReleaseAndUploadAssets = async () => (await ghRelease()) && (await ghUploadAssets());
-      const glRelease = () => glClient.release({ version, changelog });
-      const otpPrompt = isInteractive && (task => prompt(true, context, 'otp', task));
-      const publish = () => npmClient.publish({ version, isPreRelease, otpPrompt });
-
-      logPreview(log, 'changeset', await gitClient.status(), EOL);
-
-      if (!isInteractive) {
-        await s.show({ enabled: git.commit, task: commit, label: 'Git commit' });
-        await s.show({ enabled: git.tag, task: tag, label: 'Git tag' });
-        await s.show({ enabled: git.push, task: push, label: 'Git push' });
-        github.release && github.releaseNotes && logPreview(log, 'release notes', await ghClient.getNotes(), EOL);
-        await s.show({ enabled: github.release, task: ghRelease, label: 'GitHub release' });
-        await s.show({ enabled: github.assets, task: ghUploadAssets, label: 'GitHub upload assets' });
-        gitlab.release && gitlab.releaseNotes && logPreview(log, 'release notes', await glClient.getNotes(), EOL);
-        await s.show({ enabled: gitlab.release, task: glRelease, label: 'GitLab release' });
-        await s.show({ enabled: npm.publish && !npm.private, task: publish, label: 'npm publish' });
-      } else {
-        await prompt(git.commit, context, 'commit', commit);
-        await prompt(git.tag, context, 'tag', tag);
-        await prompt(git.push, context, 'push', push);
-        github.release && github.releaseNotes && logPreview(log, 'release notes', await ghClient.getNotes(), EOL);
-        await prompt(github.release, context, 'ghRelease', ghReleaseAndUploadAssets);
-        gitlab.release && gitlab.releaseNotes && logPreview(log, 'release notes', await glClient.getNotes(), EOL);
-        await prompt(gitlab.release, context, 'glRelease', glRelease);
-        await prompt(npm.publish && !npm.private, context, 'publish', publish);
+      return { latestVersion, version, changelog };
+    };
+
+    const prepareWorkspacesRelease = async () => {
+      await s.show({ enabled: beforeStart, task: () => run(beforeStart), label: beforeStart, forced: true });
+
+      const releases = [];
+      for (const pkg of wsClient.getChangedPackages()) {
+        const v = new Version({ preReleaseId: options.preReleaseId, versioning: options.versioning, log });
+        const tagVersion = wsClient.getTagVersion(pkg);
+        v.setLatestVersion({
+          use: tagVersion ? 'git.tag' : 'pkg.version',
+          gitTag: tagVersion,
+          pkgVersion: pkg.version
+        });
+        await v.bump({ increment: options.increment, preRelease: options.preRelease });
+        if (isInteractive && !v.version) {
+          log.log(`${EOL}📦 ${pkg.name} (currently at ${v.latestVersion})`);
+          await promptVersion(v, Object.assign(config.getOptions(), v.details));
+        }
+        v.validate();
+        const { latestVersion, version, isPreRelease } = v.details;
+        const changelog = await wsClient.getChangelog(pkg, scripts.changelog);
+        const tagName = wsClient.getTagName(pkg.name, version);
+        releases.push(Object.assign({}, pkg, { latestVersion, version, isPreRelease, changelog, tagName }));
       }
 
+      const packages = wsClient.sort(releases);
+      const releaseNames = packages.map(pkg => `${pkg.name}@${pkg.version}`).join(', ');
+      config.setRuntimeOptions({ packages, releases: releaseNames });
+
+      if (!packages.length) {
+        log.log(`${EOL}🚀 No changed packages to release in ${name}`);
+        return { packages };
+      }
+
+      log.log(`${EOL}🚀 Let's release ${name} (${releaseNames})`);
+
+      await s.show({ enabled: beforeBump, task: () => run(beforeBump), label: beforeBump, forced: true });
+      await validateRelease(packages);
+      await s.show({ task: () => wsClient.bumpManifests(packages), label: 'Bump versions' });
+      await s.show({ enabled: afterBump, task: () => run(afterBump), label: afterBump, forced: true });
+      await s.show({ enabled: beforeStage, task: () => run(beforeStage), label: beforeStage, forced: true });
+      await gitClient.stageDir();
+
+      return { packages };
+    };
+
+    const continueRelease = () => {
+      const context = state.get('context');
+      config.setRuntimeOptions(context);
+      const { latestVersion, version, changelog, packages, releases } = context;
+      const suffix = releases || `${latestVersion}...${version}`;
+      log.log(`${EOL}🚀 Let's continue the release of ${name} (${suffix})`);
+      return { latestVersion, version, changelog, packages };
+    };
+
+    const { latestVersion, version, changelog, packages } = isContinue
+      ? continueRelease()
+      : isWorkspaces
+      ? await prepareWorkspacesRelease()
+      : await prepareRelease();
+
+    if (isWorkspaces && _.isEmpty(packages)) {
+      return { name, packages: [] };
+    }
+
+    if (isContinue) {
+      await validateRelease(packages);
+    } else {
+      state.reset({ context: config.runtimeOptions });
+    }
+
+    const release = async ({ clients, scripts }) => {
+      const { afterRelease } = scripts;
+      await lifecycle(clients, 'beforeRelease');
+      await lifecycle(clients, 'release');
       await s.show({ enabled: afterRelease, task: () => run(afterRelease), label: afterRelease, forced: true });
+      await lifecycle(clients, 'afterRelease');
+    };
+
+    const shouldRollback = _.once(async () => {
+      if (config.isCI || !process.stdin.isTTY) return Boolean(options.rollback);
+      let isConfirmed = false;
+      await prompt(true, config.getOptions(), 'rollback', () => (isConfirmed = true));
+      return isConfirmed;
+    });
 
-      ghClient.isReleased && log.log(`🔗 ${ghClient.getReleaseUrl()}`);
-      glClient.isReleased && log.log(`🔗 ${glClient.getReleaseUrl()}`);
-      npmClient.isPublished && log.log(`🔗 ${npmClient.getPackageUrl()}`);
+    const rollback = async clients => {
+      if (!(await shouldRollback())) return false;
+      for (const client of clients.slice().reverse()) {
+        try {
+          await client.rollback();
+        } catch (err) {
+          debug(err);
+          log.warn(`Could not roll back ${client.namespace} (${err.message || err})`);
+        }
+      }
+      state.clear();
+      return true;
     };
 
-    await release({ gitClient, ghClient, glClient, npmClient, scripts });
+    try {
+      await release({ clients: releaseClients, scripts });
+    } catch (err) {
+      if (isFixed) wsClient.logPublishSummary(fixedNpmClients);
+      await rollback(releaseClients);
+      throw err;
+    }
 
-    if (options.dist.repo) {
+    if (options.dist.repo && !isWorkspaces) {
       const { stageDir, scripts } = options.dist;
 
       log.log(`${EOL}🚀 Let's release the distribution repo for ${name}`);
 
       const ghDistClientOptions = [options.github, dist.github, options.git, dist.git];
       const glDistClientOptions = [options.gitlab, dist.gitlab, options.git, dist.git];
-      const ghDistClient = new GitHub(...ghDistClientOptions, { isDryRun, log, changelogs, remoteUrl });
-      const glDistClient = new GitLab(...glDistClientOptions, { isDryRun, log, changelogs, remoteUrl });
-      const npmDistClient = new npm(options.npm, dist.npm, { isDryRun, shell, log });
-
-      ghDistClient.validate();
-      glDistClient.validate();
+      const bbDistClientOptions = [options.bitbucket, dist.bitbucket, options.git, dist.git];
+      const gtDistClientOptions = [options.gitea, dist.gitea, options.git, dist.git];
+      const ghDistClient = new GitHub(...ghDistClientOptions, container, { remoteUrl, statePrefix: 'dist' });
+      const glDistClient = new GitLab(...glDistClientOptions, container, { remoteUrl, statePrefix: 'dist' });
+      const bbDistClient = new Bitbucket(...bbDistClientOptions, container, { remoteUrl, statePrefix: 'dist' });
+      const gtDistClient = new Gitea(...gtDistClientOptions, container, { remoteUrl, statePrefix: 'dist' });
+      const npmDistClient = new npm(options.npm, dist.npm, container, { statePrefix: 'dist' });
+      const distClients = [ghDistClient, glDistClient, bbDistClient, gtDistClient, npmDistClient];
+
+      await lifecycle(distClients, 'init');
+      await lifecycle(distClients, 'validate');
+      await lifecycle(distClients, 'validateRelease');
 
       await shell.pushd(stageDir);
 
       await gitDistClient.init();
       gitDistClient.handleTagOptions(gitClient);
 
-      await release({
-        gitClient: gitDistClient,
-        ghClient: ghDistClient,
-        glClient: glDistClient,
-        npmClient: npmDistClient,
-        scripts
-      });
+      try {
+        await release({ clients: [gitDistClient, ...distClients], scripts });
+      } catch (err) {
+        if (await rollback([gitDistClient, ...distClients])) {
+          await shell.popd();
+          await rollback(clients);
+        }
+        throw err;
+      }
       await shell.popd();
       await run(`!rm -rf ${stageDir}`);
     }
 
+    state.clear();
+
     await metrics.trackEvent('end');
 
     log.log(`🏁 Done (in ${Math.floor(process.uptime())}s.)`);
@@ -214,11 +385,15 @@ module.exports = async opts => {
       name,
       changelog,
       latestVersion,
-      version
+      version,
+      packages
     });
   } catch (err) {
     await metrics.trackException(err);
     log.error(err.message || err);
+    if (state.isEnabled && state.exists()) {
+      log.log('Use `release-it --continue` to retry the remaining steps of this release.');
+    }
     debug(err);
     throw err;
   }
@@ -1,5 +1,8 @@
+const fs = require('fs');
+const path = require('path');
 const { EOL } = require('os');
 const _ = require('lodash');
+const mime = require('mime-types');
 
 _.templateSettings.interpolate = /\${([\s\S]+?)}/g;
 
@@ -23,8 +26,31 @@ const logPreview = (log, type, text, suffix) => {
   }
 };
 
+const getDate = () => {
+  const date = new Date();
+  const parts = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  return parts.map(part => _.padStart(part, 2, '0')).join('-');
+};
+
+const getMultipartBody = ({ boundary, field, file }) =>
+  Buffer.concat([
+    Buffer.from(
+      [
+        `--${boundary}`,
+        `Content-Disposition: form-data; name="${field}"; filename="${path.basename(file)}"`,
+        `Content-Type: ${mime.contentType(path.extname(file)) || 'application/octet-stream'}`,
+        '',
+        ''
+      ].join('\r\n')
+    ),
+    fs.readFileSync(file),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+
 module.exports = {
   format,
+  getDate,
+  getMultipartBody,
   truncateLines,
   logPreview
 };
@@ -1,6 +1,6 @@
-const semver = require('semver');
 const _ = require('lodash');
 const Recommendations = require('./recommendations');
+const { getScheme } = require('./versioning');
 const Log = require('./log');
 const { InvalidVersionError } = require('./errors');
 const { debugVersion: debug } = require('./debug');
@@ -8,46 +8,54 @@ const { debugVersion: debug } = require('./debug');
 const DEFAULT_USE = 'git.tag';
 const USE_NPM_VERSION = 'pkg.version';
 
-const releaseTypes = ['patch', 'minor', 'major'];
-const preReleaseTypes = ['prepatch', 'preminor', 'premajor'];
-const continuationTypes = ['prerelease', 'pre'];
-const allReleaseTypes = [...releaseTypes, ...preReleaseTypes, ...continuationTypes];
-
 class Version {
-  constructor({ preReleaseId, log, recommendations } = {}) {
+  constructor({ preReleaseId, log, recommendations, versioning } = {}) {
     this.details = {
       preReleaseId
     };
     this.log = log || new Log();
-    this.recs = recommendations || new Recommendations();
+    this.scheme = getScheme(versioning);
+    this.recs = recommendations || new Recommendations({ scheme: this.scheme });
   }
 
-  setLatestVersion({ use = DEFAULT_USE, gitTag, pkgVersion, isRootDir = true }) {
+  setLatestVersion({ use = DEFAULT_USE, gitTag, pkgVersion, pluginVersion, isRootDir = true }) {
+    if (pluginVersion) {
+      if (this.isValid(pluginVersion)) {
+        return (this.details.latestVersion = pluginVersion);
+      } else {
+        this.log.warn(
+          `The version provided by a plugin (${pluginVersion}) is not a valid ${this.scheme.name} version.`
+        );
+      }
+    }
     if (use === USE_NPM_VERSION || !isRootDir) {
       if (this.isValid(pkgVersion)) {
         return (this.details.latestVersion = pkgVersion);
       } else {
-        this.log.warn(`The version in package.json (${pkgVersion}) is not a valid semver version.`);
+        this.log.warn(`The version in package.json (${pkgVersion}) is not a valid ${this.scheme.name} version.`);
       }
     }
     if (this.isValid(gitTag)) {
       return (this.details.latestVersion = gitTag.replace(/^v/, ''));
     } else {
-      this.log.warn(`Latest Git tag (${gitTag}) is not a valid semver version.`);
+      this.log.warn(`Latest Git tag (${gitTag}) is not a valid ${this.scheme.name} version.`);
       if (this.isValid(pkgVersion)) {
         return (this.details.latestVersion = pkgVersion);
       }
     }
-    this.log.warn('Could not find valid latest Git tag or version in package.json. Using "0.0.0" as latest version.');
-    this.details.latestVersion = '0.0.0';
+    const { initialVersion } = this.scheme;
+    this.log.warn(
+      `Could not find valid latest Git tag or version in package.json. Using "${initialVersion}" as latest version.`
+    );
+    this.details.latestVersion = initialVersion;
   }
 
   isPreRelease(version) {
-    return Boolean(semver.prerelease(version));
+    return Boolean(this.scheme.prerelease(version));
   }
 
   isValid(version) {
-    return Boolean(semver.valid(version));
+    return Boolean(this.scheme.valid(version));
   }
 
   get latestVersion() {
@@ -61,7 +69,7 @@ class Version {
   set version(version) {
     const { latestVersion } = this.details;
     const isPreRelease = this.isPreRelease(version);
-    const preReleaseId = _.get(semver.prerelease(version), 0, null);
+    const preReleaseId = _.get(this.scheme.prerelease(version), 0, null);
     const latestIsPreRelease = this.isPreRelease(latestVersion);
     this.details = {
       version,
@@ -82,8 +90,13 @@ class Version {
 
   async bump({ increment, preRelease }) {
     const { latestVersion, preReleaseId } = this.details;
-    const isValidIncrement = this.isValid(increment) && semver.gte(increment, latestVersion);
-    const type = this.recs.isRecommendation(increment) ? await this.recs.getRecommendedType(increment) : increment;
+    const { releaseTypes, preReleaseTypes, continuationTypes } = this.scheme;
+    const allReleaseTypes = [...releaseTypes, ...preReleaseTypes, ...continuationTypes];
+    const isValidIncrement = this.isValid(increment) && this.scheme.gte(increment, latestVersion);
+    const recommendedType = this.recs.isRecommendation(increment)
+      ? await this.recs.getRecommendedType(increment)
+      : increment;
+    const type = this.scheme.normalizeType(recommendedType);
     const isPreRelease = preRelease || (increment || '').startsWith('pre');
     const normalizedType = _.includes(releaseTypes, type) && isPreRelease ? `pre${type}` : type;
     const isPreReleaseContinuation = isPreRelease && this.isPreRelease(latestVersion);
@@ -94,16 +107,16 @@ class Version {
         this.version = increment;
         break;
       case isPreReleaseContinuation:
-        this.version = semver.inc(latestVersion, 'prerelease', preReleaseId);
+        this.version = this.scheme.inc(latestVersion, 'prerelease', preReleaseId);
         break;
       case isValidType:
-        this.version = semver.inc(latestVersion, normalizedType, preReleaseId);
+        this.version = this.scheme.inc(latestVersion, normalizedType, preReleaseId);
         break;
       default: {
-        const coercedVersion = !this.isValid(increment) && semver.coerce(increment);
+        const coercedVersion = !this.isValid(increment) && this.scheme.coerce(increment);
         if (coercedVersion) {
-          this.version = coercedVersion.toString();
-          this.log.warn(`Coerced invalid semver version "${increment}" into "${this.version}".`);
+          this.version = coercedVersion;
+          this.log.warn(`Coerced invalid ${this.scheme.name} version "${increment}" into "${this.version}".`);
         }
         break;
       }
@@ -112,6 +125,3 @@ class Version {
 }
 
 module.exports = Version;
-module.exports.releaseTypes = releaseTypes;
-module.exports.preReleaseTypes = preReleaseTypes;
-module.exports.continuationTypes = continuationTypes;
@@ -0,0 +1,76 @@
+const semver = require('semver');
+const _ = require('lodash');
+const Scheme = require('./scheme');
+const CalVer = require('./calver');
+const FourPart = require('./four-part');
+const PEP440 = require('./pep440');
+const Integer = require('./integer');
+const { requireModule } = require('./plugins');
+const { VersionSchemeNotFoundError } = require('./errors');
+
+class SemVer extends Scheme {
+  constructor(options) {
+    super(Object.assign({ name: 'semver' }, options));
+  }
+
+  get releaseTypes() {
+    return ['patch', 'minor', 'major'];
+  }
+
+  get preReleaseTypes() {
+    return ['prepatch', 'preminor', 'premajor'];
+  }
+
+  get continuationTypes() {
+    return ['prerelease', 'pre'];
+  }
+
+  parse(version) {
+    return semver.parse(version);
+  }
+
+  valid(version) {
+    return semver.valid(version);
+  }
+
+  prerelease(version) {
+    return semver.prerelease(version);
+  }
+
+  compare(a, b) {
+    return semver.compare(a, b);
+  }
+
+  inc(version, type, preReleaseId) {
+    return semver.inc(version, type, preReleaseId);
+  }
+
+  coerce(version) {
+    const coercedVersion = semver.coerce(version);
+    return coercedVersion && coercedVersion.toString();
+  }
+}
+
+const schemes = {
+  semver: SemVer,
+  calver: CalVer,
+  'four-part': FourPart,
+  pep440: PEP440,
+  integer: Integer
+};
+
+const getScheme = versioning => {
+  const [name, ...args] = (versioning || 'semver').split(':');
+  const format = args.join(':') || undefined;
+  const VersionScheme = _.has(schemes, name) ? schemes[name] : requireModule(name);
+  if (!VersionScheme) {
+    throw new VersionSchemeNotFoundError(name);
+  }
+  return new VersionScheme({ name, format });
+};
+
+module.exports = {
+  SemVer,
+  schemes,
+  getScheme
+};
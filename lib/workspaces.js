@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { EOL } = require('os');
+const _ = require('lodash');
+const globby = require('globby');
+const Plugin = require('./plugin');
+const Changelog = require('./changelog');
+const { format, truncateLines } = require('./util');
+const { WorkspacesNotFoundError } = require('./errors');
+const { debugWorkspaces: debug } = require('./debug');
+const { workspaces: defaults } = require('../conf/release-it.json');
+
+const MANIFEST_FILE = 'package.json';
+const VERSION_PLACEHOLDER = '\n';
+
+const dependencyTypes = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+const prompts = {
+  wsCommit: {
+    type: 'confirm',
+    message: context => `Commit (${truncateLines(format(context.workspaces.commitMessage, context), 1, ' [...]')})?`
+  },
+  wsTag: {
+    type: 'confirm',
+    message: context => `Tag (${context.packages.map(pkg => pkg.tagName).join(', ')})?`
+  }
+};
+
+const readManifest = file => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    debug(err);
+    return null;
+  }
+};
+
+const updateRange = (range, version) => {
+  const match = /^(\^|~|>=|=)?\d+\S*$/.exec(range);
+  return match ? `${match[1] || ''}${version}` : range;
+};
+
+class Workspaces extends Plugin {
+  constructor(...args) {
+    super(...args);
+    this.namespace = 'workspaces';
+    this.options = _.defaults(this.options, defaults);
+    this.gitClient = this.options.gitClient;
+    this.changelogs = this.options.changelogs || new Changelog({ shell: this.shell });
+    this.registerPrompts(prompts);
+  }
+
+  async init() {
+    this.patterns = this.getPatterns();
+    this.packages = await this.getPackages();
+    for (const pkg of this.packages) {
+      pkg.latestTag = await this.getLatestTag(pkg);
+      pkg.isChanged = await this.isChanged(pkg);
+    }
+    debug(this.packages);
+  }
+
+  validate() {
+    if (_.isEmpty(this.patterns)) {
+      throw new WorkspacesNotFoundError();
+    }
+  }
+
+  getPatterns() {
+    const manifest = readManifest(path.resolve(MANIFEST_FILE)) || {};
+    const { workspaces } = manifest;
+    return Array.isArray(workspaces) ? workspaces : _.get(workspaces, 'packages', []);
+  }
+
+  async getPackages() {
+    const manifestPatterns = this.patterns.map(pattern => path.posix.join(pattern, MANIFEST_FILE));
+    const files = await globby(manifestPatterns, { ignore: ['**/node_modules/**'] });
+    return files
+      .sort()
+      .map(file => {
+        const manifest = readManifest(file);
+        return manifest && manifest.name
+          ? {
+              name: manifest.name,
+              dir: path.dirname(file),
+              manifestFile: file,
+              version: manifest.version,
+              isPrivate: Boolean(manifest.private),
+              dependencies: _.uniq(_.flatMap(dependencyTypes, type => Object.keys(manifest[type] || {})))
+            }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  getChangedPackages() {
+    return this.packages.filter(pkg => pkg.isChanged);
+  }
+
+  getTagName(name, version) {
+    return format(this.options.tagName, { name, version });
+  }
+
+  getTagVersion(pkg) {
+    if (!pkg.latestTag) return null;
+    const [prefix, suffix] = this.getTagName(pkg.name, VERSION_PLACEHOLDER).split(VERSION_PLACEHOLDER);
+    return pkg.latestTag.slice(prefix.length, pkg.latestTag.length - suffix.length);
+  }
+
+  getLatestTag(pkg) {
+    const match = this.getTagName(pkg.name, '*');
+    return this.shell
+      .run(`git describe --tags --abbrev=0 --match "${match}"`)
+      .then(stdout => stdout || null, () => null);
+  }
+
+  isChanged(pkg) {
+    if (!pkg.latestTag) return Promise.resolve(true);
+    return this.shell
+      .run(`git log --format=%h ${pkg.latestTag}...HEAD -- ${pkg.dir}`)
+      .then(stdout => Boolean(stdout), () => true);
+  }
+
+  getChangelog(pkg, command) {
+    const isGitLog = /^git log/.test(command);
+    const options = { repo: this.gitClient.repo, path: pkg.dir };
+    return this.changelogs.create(isGitLog ? `${command} -- ${pkg.dir}` : command, pkg.latestTag, options);
+  }
+
+  sort(releases) {
+    const names = releases.map(pkg => pkg.name);
+    const sorted = [];
+    let remaining = releases;
+    while (remaining.length) {
+      const isReleased = name => _.includes(sorted.map(pkg => pkg.name), name);
+      const next = remaining.filter(pkg =>
+        pkg.dependencies.every(dependency => !_.includes(names, dependency) || isReleased(dependency))
+      );
+      const batch = next.length ? next : remaining.slice(0, 1);
+      sorted.push(...batch);
+      remaining = _.difference(remaining, batch);
+    }
+    return sorted;
+  }
+
+  getFixedReleases(version) {
+    return this.packages.map(pkg => Object.assign({}, pkg, { version }));
+  }
+
+  async bumpManifests(releases) {
+    const versions = _.fromPairs(releases.map(pkg => [pkg.name, pkg.version]));
+    const files = [];
+    for (const pkg of this.packages) {
+      const contents = fs.readFileSync(pkg.manifestFile, 'utf8');
+      const manifest = JSON.parse(contents);
+      if (_.has(versions, pkg.name)) {
+        manifest.version = versions[pkg.name];
+      }
+      for (const type of dependencyTypes) {
+        _.forEach(manifest[type], (range, name) => {
+          if (_.has(versions, name)) manifest[type][name] = updateRange(range, versions[name]);
+        });
+      }
+      const indent = _.get(/^[ \t]+/m.exec(contents), 0, '  ');
+      const updated = JSON.stringify(manifest, null, indent) + (contents.endsWith(EOL) ? EOL : '');
+      if (updated !== contents) {
+        this.log.exec('bump', pkg.manifestFile, versions[pkg.name] || '(dependencies)');
+        files.push(pkg.manifestFile);
+        if (this.options.isDryRun) {
+          this.log.dry();
+        } else {
+          fs.writeFileSync(pkg.manifestFile, updated);
+        }
+      }
+    }
+    return files;
+  }
+
+  beforeRelease() {
+    return this.gitClient.beforeRelease();
+  }
+
+  async release() {
+    const { commit, tag, push } = this.gitClient.options;
+    const { commitMessage } = this.options;
+    const { packages } = this.config.getOptions();
+    const commitTask = () => this.gitClient.commit({ message: commitMessage });
+    await this.step({ enabled: commit, task: commitTask, label: 'Git commit', prompt: 'wsCommit', id: 'commit' });
+    await this.step({ enabled: tag, task: () => this.tag(packages), label: 'Git tag', prompt: 'wsTag', id: 'tag' });
+    await this.step({
+      enabled: push,
+      task: () => this.gitClient.push(),
+      label: 'Git push',
+      prompt: 'push',
+      id: 'push'
+    });
+  }
+
+  async tag(packages) {
+    const { tagAnnotation } = this.options;
+    for (const pkg of packages) {
+      await this.gitClient.tag({ name: pkg.tagName, annotation: format(tagAnnotation, pkg) });
+    }
+  }
+
+  rollback() {
+    return this.gitClient.rollback();
+  }
+
+  logPublishSummary(npmClients) {
+    const { version } = this.config.getOptions();
+    const [published, unpublished] = _.partition(npmClients, client => client.isPublished);
+    const getNames = clients => clients.map(client => `${client.options.name}@${version}`).join(', ') || '-';
+    this.log.warn(`Published: ${getNames(published)}`);
+    this.log.warn(`Not published: ${getNames(unpublished)}`);
+  }
+}
+
+module.exports = Workspaces;
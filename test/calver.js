@@ -0,0 +1,103 @@
+const test = require('tape');
+const sinon = require('sinon');
+const CalVer = require('../lib/calver');
+
+const useDate = (...args) => sinon.useFakeTimers({ now: new Date(...args), toFake: ['Date'] });
+
+test('valid', t => {
+  const calver = new CalVer();
+  t.equal(calver.valid('2019.5.0'), '2019.5.0');
+  t.equal(calver.valid('v2019.12.3'), '2019.12.3');
+  t.equal(calver.valid('2019.5.0-beta.1'), '2019.5.0-beta.1');
+  t.equal(calver.valid('2019.13.0'), null);
+  t.equal(calver.valid('1.2.3'), null);
+  t.equal(calver.valid('0.0.0'), null);
+  t.end();
+});
+
+test('valid (custom format)', t => {
+  const calver = new CalVer({ format: 'YY.0W.N' });
+  t.equal(calver.valid('19.05.2'), '19.05.2');
+  t.equal(calver.valid('19.5.2'), null);
+  t.equal(calver.valid('19.05'), null);
+  t.end();
+});
+
+test('prerelease', t => {
+  const calver = new CalVer();
+  t.deepEqual(calver.prerelease('2019.5.0-beta.1'), ['beta', 1]);
+  t.equal(calver.prerelease('2019.5.0'), null);
+  t.end();
+});
+
+test('compare', t => {
+  const calver = new CalVer();
+  t.ok(calver.gt('2019.5.1', '2019.5.0'));
+  t.ok(calver.gt('2019.10.0', '2019.9.3'));
+  t.ok(calver.gt('2020.1.0', '2019.12.9'));
+  t.ok(calver.gt('2019.5.0', '2019.5.0-rc.0'));
+  t.ok(calver.gt('2019.5.0-rc.0', '2019.5.0-beta.1'));
+  t.ok(calver.gt('2019.5.0-beta.10', '2019.5.0-beta.9'));
+  t.ok(calver.gte('2019.5.0', '2019.5.0'));
+  t.notOk(calver.gt('2019.5.0', '2019.5.0'));
+  t.ok(calver.gt('2019.5.0', '0.0.0'));
+  t.end();
+});
+
+test('inc (same period)', t => {
+  const clock = useDate(2019, 4, 15);
+  const calver = new CalVer();
+  t.equal(calver.inc('2019.5.0', 'calendar'), '2019.5.1');
+  t.equal(calver.inc('2019.5.3', 'calendar'), '2019.5.4');
+  clock.restore();
+  t.end();
+});
+
+test('inc (period rollover)', t => {
+  const clock = useDate(2019, 5, 1);
+  const calver = new CalVer();
+  t.equal(calver.inc('2019.5.3', 'calendar'), '2019.6.0');
+  t.equal(calver.inc('0.0.0', 'calendar'), '2019.6.0');
+  clock.restore();
+  t.end();
+});
+
+test('inc (zero-padded week)', t => {
+  const clock = useDate(2019, 0, 30);
+  const calver = new CalVer({ format: 'YY.0W.N' });
+  t.equal(calver.inc('19.04.1', 'calendar'), '19.05.0');
+  t.equal(calver.inc('19.05.1', 'calendar'), '19.05.2');
+  clock.restore();
+  t.end();
+});
+
+test('inc (ISO week-numbering year)', t => {
+  const clock = useDate(2019, 11, 31);
+  const calver = new CalVer({ format: 'YYYY.WW.MICRO' });
+  t.equal(calver.inc('2019.52.0', 'calendar'), '2020.1.0');
+  clock.restore();
+  t.end();
+});
+
+test('inc (pre-release)', t => {
+  const clock = useDate(2019, 4, 15);
+  const calver = new CalVer();
+  t.equal(calver.inc('2019.4.2', 'precalendar', 'beta'), '2019.5.0-beta.0');
+  t.equal(calver.inc('2019.5.2', 'precalendar', 'beta'), '2019.5.3-beta.0');
+  t.equal(calver.inc('2019.5.3-beta.0', 'prerelease', 'beta'), '2019.5.3-beta.1');
+  t.equal(calver.inc('2019.5.3-beta.1', 'prerelease', 'rc'), '2019.5.3-rc.0');
+  t.equal(calver.inc('2019.5.3-beta.1', 'prerelease'), '2019.5.3-beta.2');
+  t.equal(calver.inc('2019.4.3-beta.1', 'prerelease', 'beta'), '2019.5.0-beta.0');
+  t.equal(calver.inc('2019.5.3-rc.1', 'calendar'), '2019.5.3');
+  clock.restore();
+  t.end();
+});
+
+test('inc (format without counter)', t => {
+  const clock = useDate(2019, 4, 15);
+  const calver = new CalVer({ format: 'YYYY.0M.0D' });
+  t.equal(calver.inc('2019.05.14', 'calendar'), '2019.05.15');
+  t.equal(calver.inc('2019.05.15', 'calendar'), null);
+  clock.restore();
+  t.end();
+});
@@ -0,0 +1,199 @@
+const path = require('path');
+const { EOL } = require('os');
+const test = require('tape');
+const sinon = require('sinon');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
+const repoPathParse = require('parse-repo');
+const Config = require('../lib/config');
+const ChangelogFile = require('../lib/changelog-file');
+const GitLab = require('../lib/gitlab');
+const Bitbucket = require('../lib/bitbucket');
+const Gitea = require('../lib/gitea');
+
+const cwd = path.resolve(process.cwd());
+
+const repo = { host: 'github.com', repository: 'webpro/release-it' };
+const compareUrl = 'https://github.com/webpro/release-it/compare';
+
+const getChangelogFile = (options = {}, { version = '1.1.0', latestTag = '1.0.0', tagName } = {}) => {
+  const config = new Config(tagName ? { git: { tagName } } : {});
+  config.setRuntimeOptions({ version });
+  const gitClient = { repo, latestTag, stage: sinon.stub().resolves() };
+  return new ChangelogFile(options, { config, gitClient });
+};
+
+const write = async (changelogFile, changelog, contents) => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  if (contents) sh.ShellString(contents).to('CHANGELOG.md');
+  await changelogFile.write(changelog);
+  const updated = sh.test('-e', 'CHANGELOG.md') ? sh.cat('CHANGELOG.md').toString() : null;
+  sh.pushd('-q', cwd);
+  return updated;
+};
+
+const lines = (...args) => args.join(EOL) + EOL;
+
+test('write (keepachangelog, new file)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const changelogFile = getChangelogFile();
+  const contents = await write(changelogFile, '* Add feature (abcdef0)');
+  t.equal(
+    contents,
+    lines(
+      '# Changelog',
+      '',
+      'All notable changes to this project will be documented in this file.',
+      '',
+      'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/).',
+      '',
+      '## [Unreleased]',
+      '',
+      '## [1.1.0] - 2019-06-01',
+      '',
+      '* Add feature (abcdef0)',
+      '',
+      `[Unreleased]: ${compareUrl}/1.1.0...HEAD`,
+      `[1.1.0]: ${compareUrl}/1.0.0...1.1.0`
+    )
+  );
+  t.ok(changelogFile.gitClient.stage.calledWith('CHANGELOG.md'));
+  clock.restore();
+  t.end();
+});
+
+test('write (keepachangelog, existing file with unreleased changes)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const changelogFile = getChangelogFile({}, { tagName: 'v${version}', latestTag: 'v1.0.0' });
+  const existing = lines(
+    '# Changelog',
+    '',
+    '## [Unreleased]',
+    '',
+    '### Added',
+    '',
+    '- New feature',
+    '',
+    '## [1.0.0] - 2019-01-01',
+    '',
+    '- Initial release',
+    '',
+    `[Unreleased]: ${compareUrl}/v1.0.0...HEAD`,
+    `[1.0.0]: ${compareUrl}/v0.1.0...v1.0.0`
+  );
+  const contents = await write(changelogFile, '* Add feature (abcdef0)', existing);
+  t.equal(
+    contents,
+    lines(
+      '# Changelog',
+      '',
+      '## [Unreleased]',
+      '',
+      '## [1.1.0] - 2019-06-01',
+      '',
+      '### Added',
+      '',
+      '- New feature',
+      '',
+      '## [1.0.0] - 2019-01-01',
+      '',
+      '- Initial release',
+      '',
+      `[Unreleased]: ${compareUrl}/v1.1.0...HEAD`,
+      `[1.1.0]: ${compareUrl}/v1.0.0...v1.1.0`,
+      `[1.0.0]: ${compareUrl}/v0.1.0...v1.0.0`
+    )
+  );
+  clock.restore();
+  t.end();
+});
+
+test('write (keepachangelog, existing file without unreleased section)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const changelogFile = getChangelogFile({ compareLinks: false });
+  const existing = lines('# Changelog', '', '## [1.0.0] - 2019-01-01', '', '- Initial release');
+  const contents = await write(changelogFile, '* Fix bug (abcdef0)', existing);
+  t.equal(
+    contents,
+    lines(
+      '# Changelog',
+      '',
+      '## [1.1.0] - 2019-06-01',
+      '',
+      '* Fix bug (abcdef0)',
+      '',
+      '## [1.0.0] - 2019-01-01',
+      '',
+      '- Initial release'
+    )
+  );
+  clock.restore();
+  t.end();
+});
+
+test('write (conventional)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const changelogFile = getChangelogFile({ format: 'conventional' });
+  const existing = lines('# Changelog', '', '## 1.0.0 (2019-01-01)', '', '* Initial release');
+  const contents = await write(changelogFile, '* **api:** add endpoint (abcdef0)', existing);
+  t.equal(
+    contents,
+    lines(
+      '# Changelog',
+      '',
+      `## [1.1.0](${compareUrl}/1.0.0...1.1.0) (2019-06-01)`,
+      '',
+      '* **api:** add endpoint (abcdef0)',
+      '',
+      '## 1.0.0 (2019-01-01)',
+      '',
+      '* Initial release'
+    )
+  );
+  clock.restore();
+  t.end();
+});
+
+test('write (conventional, first release)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const changelogFile = getChangelogFile({ format: 'conventional' }, { version: '0.1.0', latestTag: null });
+  const contents = await write(changelogFile, '* Initial commit (abcdef0)');
+  t.equal(contents, lines('# Changelog', '', '## 0.1.0 (2019-06-01)', '', '* Initial commit (abcdef0)'));
+  clock.restore();
+  t.end();
+});
+
+test('write (dry run)', async t => {
+  const changelogFile = getChangelogFile({ isDryRun: true });
+  const contents = await write(changelogFile, '* Add feature (abcdef0)');
+  t.equal(contents, null);
+  t.equal(changelogFile.gitClient.stage.callCount, 0);
+  t.end();
+});
+
+test('getCompareUrl (hosts)', t => {
+  const getCompareUrl = (remoteUrl, providerClients) => {
+    const gitClient = { repo: repoPathParse(remoteUrl) };
+    return new ChangelogFile({ gitClient, providerClients }).getCompareUrl('1.0.0', '1.1.0');
+  };
+  const getProviderClients = remoteUrl => [
+    new GitLab({ remoteUrl }),
+    new Bitbucket({ remoteUrl }),
+    new Gitea({ remoteUrl, release: remoteUrl.includes('gitea') })
+  ];
+  const urls = [
+    'https://github.com/webpro/release-it',
+    'https://gitlab.com/webpro/release-it',
+    'https://bitbucket.org/webpro/release-it',
+    'https://gitea.example.org/webpro/release-it'
+  ];
+  t.deepEqual(urls.map(url => getCompareUrl(url, getProviderClients(url))), [
+    'https://github.com/webpro/release-it/compare/1.0.0...1.1.0',
+    'https://gitlab.com/webpro/release-it/-/compare/1.0.0...1.1.0',
+    'https://bitbucket.org/webpro/release-it/branches/compare/1.1.0%0D1.0.0',
+    'https://gitea.example.org/webpro/release-it/compare/1.0.0...1.1.0'
+  ]);
+  t.end();
+});
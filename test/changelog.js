@@ -37,3 +37,36 @@ test('getChangelog (custom)', async t => {
   t.equal(changelog, 'release-it');
   t.end();
 });
+
+test('getChangelog (conventional)', async t => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  sh.exec('git init');
+  gitAdd('line', 'file', 'chore: initial commit');
+  sh.exec('git tag 1.0.0');
+  gitAdd('line', 'file', 'feat(api): add endpoint\n\nCloses #12');
+  gitAdd('line', 'file', 'fix: crash on start\n\nBREAKING CHANGE: drop support for Node.js 6');
+  sh.mkdir('sub');
+  gitAdd('line', 'sub/file', 'fix(sub): fix sub');
+  const repo = { host: 'github.com', owner: 'webpro', project: 'release-it' };
+  const changelog = await changelogs.create('conventional:angular', '1.0.0', { repo });
+  const baseUrl = 'https://github.com/webpro/release-it';
+  const sections = changelog.split(/\n\n(?=### )/);
+  t.equal(sections.length, 3);
+  t.ok(sections[0].startsWith('### Bug Fixes\n\n'));
+  t.ok(
+    /^\* crash on start \(\[\w{7}\]\(https:\/\/github\.com\/webpro\/release-it\/commit\/\w{40}\)\)$/m.test(sections[0])
+  );
+  t.ok(sections[0].includes('* **sub:** fix sub'));
+  t.ok(sections[1].startsWith('### Features\n\n* **api:** add endpoint'));
+  t.ok(sections[1].endsWith(`closes [#12](${baseUrl}/issues/12)`));
+  t.equal(sections[2], '### BREAKING CHANGES\n\n* drop support for Node.js 6');
+  t.notOk(changelog.includes('initial commit'));
+  {
+    const changelog = await changelogs.create('conventional:angular', '1.0.0', { path: 'sub' });
+    t.ok(/^### Bug Fixes\n\n\* \*\*sub:\*\* fix sub \w{7}$/.test(changelog));
+  }
+  sh.pushd('-q', cwd);
+  t.end();
+});
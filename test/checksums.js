@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('tape');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
+const { getChecksum, createChecksumFiles } = require('../lib/checksums');
+
+const cwd = path.resolve(process.cwd());
+
+const files = [path.resolve('test/resources/file1'), path.resolve('test/resources/file2')];
+
+const file1Sha256 = 'c147efcfc2d7ea666a9e4f5187b115c90903f0fc896a56df9a6ef5d8f3fc9f31';
+
+test('getChecksum', async t => {
+  t.equal(await getChecksum(files[0], 'sha256'), file1Sha256);
+  t.equal((await getChecksum(files[0], 'sha512')).length, 128);
+  await t.shouldReject(getChecksum('foo', 'sha256'), /ENOENT/);
+  t.end();
+});
+
+test('createChecksumFiles', async t => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+
+  const [sha256sums] = await createChecksumFiles(files, true, tmp);
+  t.equal(sha256sums, path.join(tmp, 'SHA256SUMS'));
+  const lines = fs.readFileSync(sha256sums, 'utf8').split('\n');
+  t.equal(lines.length, 3);
+  t.equal(lines[0], `${file1Sha256}  file1`);
+  t.ok(/^[0-9a-f]{64} {2}file2$/.test(lines[1]));
+  t.equal(lines[2], '');
+
+  const checksumFiles = await createChecksumFiles(files, ['sha256', 'sha512'], tmp);
+  t.deepEqual(checksumFiles.map(file => path.basename(file)), ['SHA256SUMS', 'SHA512SUMS']);
+  t.ok(/^[0-9a-f]{128} {2}file1$/m.test(fs.readFileSync(checksumFiles[1], 'utf8')));
+
+  t.deepEqual(await createChecksumFiles(files, false, tmp), []);
+  t.end();
+});
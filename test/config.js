@@ -116,3 +116,23 @@ test('config default increment (interactive)', t => {
   t.equal(config.options.increment, undefined);
   t.end();
 });
+
+test('config.fork', t => {
+  const config = new Config({ increment: 'minor' });
+  config.setRuntimeOptions({ name: 'root', version: '1.0.0' });
+  const fork = config.fork({ name: 'pkg-a', version: '2.0.0' });
+  t.equal(fork.getOptions().increment, 'minor');
+  t.equal(fork.getOptions().name, 'pkg-a');
+  t.equal(fork.getOptions().version, '2.0.0');
+  t.equal(fork.isInteractive, config.isInteractive);
+  t.equal(config.getOptions().name, 'root');
+  t.equal(config.getOptions().version, '1.0.0');
+  t.end();
+});
+
+test('config (npm.denyFiles replaces the default patterns)', t => {
+  const config = new Config({ npm: { denyFiles: ['secret.txt'] } });
+  t.deepEqual(config.options.npm.denyFiles, ['secret.txt']);
+  t.equal(new Config().options.npm.denyFiles, null);
+  t.end();
+});
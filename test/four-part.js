@@ -0,0 +1,40 @@
+const test = require('tape');
+const FourPart = require('../lib/four-part');
+
+test('valid', t => {
+  const scheme = new FourPart();
+  t.equal(scheme.valid('1.2.3.4'), '1.2.3.4');
+  t.equal(scheme.valid('v1.2.3.4'), '1.2.3.4');
+  t.equal(scheme.valid('1.2.3'), null);
+  t.equal(scheme.valid('1.2.3.4-beta'), null);
+  t.equal(scheme.prerelease('1.2.3.4'), null);
+  t.end();
+});
+
+test('compare', t => {
+  const scheme = new FourPart();
+  t.ok(scheme.gt('1.2.3.10', '1.2.3.9'));
+  t.ok(scheme.gt('1.3.0.0', '1.2.9.9'));
+  t.ok(scheme.gte('1.2.3.4', '1.2.3.4'));
+  t.notOk(scheme.gt('1.2.3.4', '1.2.3.4'));
+  t.end();
+});
+
+test('inc', t => {
+  const scheme = new FourPart();
+  t.equal(scheme.inc('1.2.3.4', 'revision'), '1.2.3.5');
+  t.equal(scheme.inc('1.2.3.4', 'build'), '1.2.4.0');
+  t.equal(scheme.inc('1.2.3.4', 'patch'), '1.2.4.0');
+  t.equal(scheme.inc('1.2.3.4', 'minor'), '1.3.0.0');
+  t.equal(scheme.inc('1.2.3.4', 'major'), '2.0.0.0');
+  t.equal(scheme.inc('1.2.3.4', 'prepatch'), null);
+  t.end();
+});
+
+test('coerce', t => {
+  const scheme = new FourPart();
+  t.equal(scheme.coerce('1.2'), '1.2.0.0');
+  t.equal(scheme.coerce('v3'), '3.0.0.0');
+  t.equal(scheme.coerce('foo'), null);
+  t.end();
+});
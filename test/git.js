@@ -8,6 +8,7 @@ const { readFile, gitAdd } = require('./util/index');
 const Shell = require('../lib/shell');
 const Git = require('../lib/git');
 const GitDist = require('../lib/git-dist');
+const State = require('../lib/state');
 
 const shell = new Shell();
 const gitClient = new Git();
@@ -196,6 +197,90 @@ test('push (pushRepo not "origin")', async t => {
   t.end();
 });
 
+test('rollback (commit + tag)', async t => {
+  prepare();
+  const bare = `../${uuid()}`;
+  sh.exec(`git init --bare ${bare}`);
+  sh.exec(`git clone ${bare} .`);
+  gitAdd('line', 'file', 'Add file');
+  const gitClient = new Git();
+  await gitClient.init();
+  sh.ShellString('line').toEnd('file');
+  await gitClient.stage('file');
+  await gitClient.commit({ message: 'Release 1.0.1' });
+  await gitClient.tag({ name: '1.0.1', annotation: 'Release 1.0.1' });
+  mockStdIo.start();
+  await gitClient.rollback();
+  const { stdout } = mockStdIo.end();
+  t.ok(stdout.includes('$ git tag --delete 1.0.1'));
+  t.ok(stdout.includes('$ git reset --hard HEAD~1'));
+  t.equal(await gitClient.tagExists('1.0.1'), false);
+  t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Add file');
+  t.ok(/^line\s*$/.test(await readFile('file')));
+  cleanup();
+  t.end();
+});
+
+test('rollback (commit + tag + push)', async t => {
+  prepare();
+  const bare = `../${uuid()}`;
+  sh.exec(`git init --bare ${bare}`);
+  sh.exec(`git clone ${bare} .`);
+  gitAdd('line', 'file', 'Add file');
+  const gitClient = new Git();
+  await gitClient.init();
+  await gitClient.commit({ message: 'Release 1.0.1', args: '--allow-empty' });
+  await gitClient.tag({ name: '1.0.1', annotation: 'Release 1.0.1' });
+  await gitClient.push();
+  t.equal(sh.exec('git tag', { cwd: bare }).trim(), '1.0.1');
+  mockStdIo.start();
+  await gitClient.rollback();
+  const { stdout } = mockStdIo.end();
+  t.ok(stdout.includes('$ git push --delete origin 1.0.1'));
+  t.ok(stdout.includes('$ git tag --delete 1.0.1'));
+  t.ok(stdout.includes('The release commit has already been pushed'));
+  t.equal(sh.exec('git tag', { cwd: bare }).trim(), '');
+  t.equal(await gitClient.tagExists('1.0.1'), false);
+  t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Release 1.0.1');
+  cleanup();
+  t.end();
+});
+
+test('rollback (after --continue)', async t => {
+  prepare();
+  const bare = `../${uuid()}`;
+  sh.exec(`git init --bare ${bare}`);
+  sh.exec(`git clone ${bare} .`);
+  gitAdd('line', 'file', 'Add file');
+  {
+    const gitClient = new Git({ state: new State() });
+    await gitClient.init();
+    await gitClient.commit({ message: 'Release 1.0.1', args: '--allow-empty' });
+    await gitClient.tag({ name: '1.0.1', annotation: 'Release 1.0.1' });
+  }
+  const state = new State();
+  t.equal(state.load(), true);
+  t.deepEqual(state.get(['plugins', 'git']), { isCommitted: true, tagName: '1.0.1', tagNames: ['1.0.1'] });
+  const gitClient = new Git({ state });
+  await gitClient.init();
+  mockStdIo.start();
+  await gitClient.rollback();
+  mockStdIo.end();
+  t.equal(await gitClient.tagExists('1.0.1'), false);
+  t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Add file');
+  state.clear();
+  cleanup();
+  t.end();
+});
+
+test('rollback (nothing to undo)', async t => {
+  const run = sinon.spy();
+  const gitClient = new Git({ shell: { run } });
+  await gitClient.rollback();
+  t.equal(run.callCount, 0);
+  t.end();
+});
+
 test('status', async t => {
   prepare();
   sh.exec('git init');
@@ -0,0 +1,207 @@
+const http = require('http');
+const path = require('path');
+const test = require('tape');
+const mockStdIo = require('mock-stdio');
+const Log = require('../lib/log');
+const Gitea = require('../lib/gitea');
+
+const tokenRef = 'MY_GITEA_TOKEN';
+const remoteUrl = 'git@gitea.example.org:webpro/release-it-test.git';
+const apiPath = '/api/v1/repos/webpro/release-it-test';
+
+const startServer = () =>
+  new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks).toString();
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const { port } = server.address();
+        res.setHeader('content-type', 'application/json');
+        if (req.method === 'POST' && req.url === `${apiPath}/releases`) {
+          const { tag_name } = JSON.parse(body);
+          res.statusCode = 201;
+          res.end(
+            JSON.stringify({
+              id: 7,
+              html_url: `http://127.0.0.1:${port}/webpro/release-it-test/releases/tag/${tag_name}`
+            })
+          );
+        } else if (req.method === 'POST' && req.url.startsWith(`${apiPath}/releases/7/assets`)) {
+          res.statusCode = 201;
+          res.end(JSON.stringify({ id: 1, browser_download_url: `http://127.0.0.1:${port}/attachments/file1` }));
+        } else if (req.method === 'DELETE' && req.url === `${apiPath}/releases/7`) {
+          res.statusCode = 204;
+          res.end();
+        } else {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ message: 'Not Found' }));
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () =>
+      resolve({ server, requests, host: `http://127.0.0.1:${server.address().port}` })
+    );
+  });
+
+test('validate', async t => {
+  const gitea = new Gitea({ release: true, tokenRef, remoteUrl });
+  delete process.env[tokenRef];
+  t.throws(() => gitea.validate(), /Environment variable "MY_GITEA_TOKEN" is required for Gitea releases/);
+  process.env[tokenRef] = '123';
+  t.doesNotThrow(() => gitea.validate());
+  t.end();
+});
+
+test('gitea urls', t => {
+  {
+    const gitea = new Gitea({ remoteUrl });
+    t.equal(gitea.apiUrl, `https://gitea.example.org${apiPath}`);
+    t.equal(
+      gitea.getCompareUrl('1.0.0', '1.0.1'),
+      'https://gitea.example.org/webpro/release-it-test/compare/1.0.0...1.0.1'
+    );
+  }
+  {
+    const gitea = new Gitea({ remoteUrl, host: 'codeberg.org' });
+    t.equal(gitea.apiUrl, `https://codeberg.org${apiPath}`);
+  }
+  {
+    const gitea = new Gitea({ remoteUrl, host: 'http://localhost:3000/' });
+    t.equal(gitea.apiUrl, `http://localhost:3000${apiPath}`);
+  }
+  t.end();
+});
+
+test('gitea release', async t => {
+  const { server, requests, host } = await startServer();
+  process.env[tokenRef] = '123';
+  const gitea = new Gitea({
+    release: true,
+    releaseNotes: 'echo Custom notes',
+    remoteUrl,
+    host,
+    tagName: 'v${version}',
+    draft: true,
+    tokenRef
+  });
+
+  const release = await gitea.createRelease({ version: '2.0.1', isPreRelease: true });
+
+  t.equal(release.id, 7);
+  t.equal(requests.length, 1);
+  t.equal(requests[0].url, `${apiPath}/releases`);
+  t.equal(requests[0].headers.authorization, 'token 123');
+  t.deepEqual(JSON.parse(requests[0].body), {
+    tag_name: 'v2.0.1',
+    name: 'Release 2.0.1',
+    body: 'Custom notes',
+    draft: true,
+    prerelease: true
+  });
+  t.equal(gitea.releaseUrl, `${host}/webpro/release-it-test/releases/tag/v2.0.1`);
+  t.equal(gitea.isReleased, true);
+
+  server.close();
+  t.end();
+});
+
+test('gitea upload assets', async t => {
+  const { server, requests, host } = await startServer();
+  const gitea = new Gitea({
+    release: true,
+    remoteUrl,
+    host,
+    tagName: '${version}',
+    assets: path.resolve('test/resources', 'file1'),
+    tokenRef
+  });
+
+  await gitea.createRelease({ version: '2.0.1' });
+  const urls = await gitea.uploadAssets();
+
+  t.equal(requests.length, 2);
+  const { method, url, headers, body } = requests[1];
+  t.equal(method, 'POST');
+  t.equal(url, `${apiPath}/releases/7/assets?name=file1`);
+  t.equal(headers['content-type'], 'multipart/form-data; boundary=release-it-gitea-upload');
+  t.ok(body.includes('Content-Disposition: form-data; name="attachment"; filename="file1"'));
+  t.deepEqual(urls, [`${host}/attachments/file1`]);
+
+  server.close();
+  t.end();
+});
+
+test('gitea upload assets (not found)', async t => {
+  const { server, requests, host } = await startServer();
+  const gitea = new Gitea({ release: true, remoteUrl, host, tagName: '${version}', assets: 'foo/*', tokenRef });
+
+  await gitea.createRelease({ version: '2.0.1' });
+  mockStdIo.start();
+  await gitea.uploadAssets();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(requests.length, 1);
+  t.ok(stdout.includes('gitea releases#uploadAssets: assets not found'));
+
+  server.close();
+  t.end();
+});
+
+test('gitea release (error)', async t => {
+  const { server, requests, host } = await startServer();
+  const gitea = new Gitea({ release: true, remoteUrl: 'git@gitea.example.org:webpro/unknown.git', host, tokenRef });
+
+  try {
+    await gitea.createRelease({ version: '2.0.1' });
+    t.fail('should have thrown');
+  } catch (err) {
+    t.equal(err.statusCode, 404);
+    t.equal(requests.length, 1);
+  }
+  t.equal(gitea.isReleased, undefined);
+
+  server.close();
+  t.end();
+});
+
+test('gitea rollback', async t => {
+  const { server, requests, host } = await startServer();
+  const gitea = new Gitea({ release: true, remoteUrl, host, tagName: '${version}', tokenRef });
+
+  await gitea.rollback();
+  t.equal(requests.length, 0);
+
+  await gitea.createRelease({ version: '2.0.2' });
+  mockStdIo.start();
+  await gitea.rollback();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(requests.length, 2);
+  t.equal(requests[1].method, 'DELETE');
+  t.equal(requests[1].url, `${apiPath}/releases/7`);
+  t.ok(stdout.includes('gitea releases#deleteRelease'));
+  t.equal(gitea.isReleased, false);
+
+  server.close();
+  t.end();
+});
+
+test('gitea release (dry run)', async t => {
+  const assets = path.resolve('test/resources', 'file*');
+  const options = { release: true, remoteUrl, tagName: 'v${version}', assets, isDryRun: true, tokenRef };
+  const gitea = new Gitea(options, { log: new Log({ isDryRun: true }) });
+
+  mockStdIo.start();
+  await gitea.createRelease({ version: '2.0.1' });
+  await gitea.uploadAssets();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(gitea.releaseUrl, 'https://gitea.example.org/webpro/release-it-test/releases/tag/v2.0.1');
+  t.equal(gitea.isReleased, true);
+  t.ok(stdout.includes('gitea releases#uploadAsset file1'));
+  t.ok(stdout.includes('gitea releases#uploadAsset file2'));
+  t.end();
+});
@@ -1,9 +1,16 @@
+const fs = require('fs');
 const path = require('path');
 const test = require('tape');
 const sinon = require('sinon');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
 const proxyquire = require('proxyquire');
+const mockStdIo = require('mock-stdio');
 const GitHubApi = require('@octokit/rest');
 const githubRequestMock = require('./mock/github.request');
+const Log = require('../lib/log');
+const Config = require('../lib/config');
+const { GitHubClientError } = require('../lib/errors');
 
 const githubRequestStub = sinon.stub().callsFake(githubRequestMock);
 const githubApi = new GitHubApi();
@@ -14,6 +21,23 @@ const GitHub = proxyquire('../lib/github', {
   '@octokit/rest': GitHubApiStub
 });
 
+const cwd = path.resolve(process.cwd());
+
+const prepareCommits = () => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  sh.exec('git init');
+  sh.exec('git commit --allow-empty -m "Initial commit"');
+  sh.exec('git tag v1.0.0');
+  sh.exec('git commit --allow-empty -m "Add feature" -m "Details" --author="Jane Doe <jane@example.org>"');
+  sh.exec('git commit --allow-empty -m "Fix bug" --author="John Doe <john@example.org>"');
+  sh.exec('git commit --allow-empty -m "Fix another bug" --author="Jane Doe <jane@example.org>"');
+  const config = new Config();
+  config.setRuntimeOptions({ latestTag: 'v1.0.0' });
+  return { tmp, config };
+};
+
 test('github validate', async t => {
   const tokenRef = 'MY_GITHUB_TOKEN';
   const github = new GitHub({ release: true, tokenRef, remoteUrl: '' });
@@ -38,7 +62,7 @@ test('github release + uploadAssets', async t => {
     assets: path.resolve('test/resources', asset)
   });
 
-  const releaseResult = await github.release({
+  const releaseResult = await github.createRelease({
     version
   });
 
@@ -77,7 +101,7 @@ test('github release (enterprise)', async t => {
     remoteUrl: 'https://github.my-GHE-enabled-company.com/user/repo'
   });
 
-  await github.release({
+  await github.createRelease({
     version: '1',
     changelog: 'My default changelog'
   });
@@ -97,7 +121,7 @@ test('github release (override host)', async t => {
     host: 'my-custom-host.org'
   });
 
-  await github.release({
+  await github.createRelease({
     version: '1'
   });
 
@@ -107,3 +131,469 @@ test('github release (override host)', async t => {
   GitHubApiStub.resetHistory();
   t.end();
 });
+
+test('github rollback', async t => {
+  githubRequestStub.resetHistory();
+  const github = new GitHub({
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    tagName: '${version}'
+  });
+
+  await github.rollback();
+  t.equal(githubRequestStub.callCount, 0);
+
+  const { id } = await github.createRelease({
+    version: '2.0.2'
+  });
+
+  mockStdIo.start();
+  await github.rollback();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(githubRequestStub.callCount, 2);
+  const { method, url, owner, repo, release_id } = githubRequestStub.secondCall.lastArg;
+  t.equal(method, 'DELETE');
+  t.equal(url, '/repos/:owner/:repo/releases/:release_id');
+  t.equal(owner, 'webpro');
+  t.equal(repo, 'release-it-test');
+  t.equal(release_id, id);
+  t.ok(
+    stdout.includes('$ octokit releases#deleteRelease (https://github.com/webpro/release-it-test/releases/tag/2.0.2)')
+  );
+  t.equal(github.isReleased, false);
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github release (update existing draft)', async t => {
+  const remoteUrl = 'https://github.com/webpro/release-it-test';
+  const assets = path.resolve('test/resources', 'file1');
+  const options = { remoteUrl, tagName: 'v${version}', assets };
+
+  const draft = new GitHub(Object.assign({ draft: true, releaseNotes: 'echo Draft notes' }, options));
+  const { id } = await draft.createRelease({ version: '3.0.0' });
+  const [{ id: assetId }] = await draft.uploadAssets();
+  githubRequestStub.resetHistory();
+
+  const github = new GitHub(
+    Object.assign({ update: true, publishDraft: true, releaseNotes: 'echo Custom notes' }, options)
+  );
+
+  const release = await github.createRelease({ version: '3.0.0', isPreRelease: true });
+
+  t.equal(release.id, id);
+  t.equal(release.name, 'Release 3.0.0');
+  t.equal(release.body, 'Custom notes');
+  t.equal(release.prerelease, true);
+  t.equal(release.draft, true);
+  t.equal(github.isUpdated, true);
+
+  await github.uploadAssets();
+  await github.publishDraft();
+
+  const requests = githubRequestStub.getCalls().map(call => call.lastArg);
+  t.equal(requests.length, 5);
+  t.equal(requests[0].method, 'GET');
+  t.equal(requests[0].url, '/repos/:owner/:repo/releases');
+  t.equal(requests[1].method, 'PATCH');
+  t.equal(requests[1].release_id, id);
+  t.equal(requests[2].method, 'DELETE');
+  t.equal(requests[2].asset_id, assetId);
+  t.equal(requests[3].name, 'file1');
+  t.equal(requests[4].method, 'PATCH');
+  t.equal(requests[4].draft, false);
+  t.equal(github.isDraft, false);
+
+  mockStdIo.start();
+  await github.rollback();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(githubRequestStub.callCount, 5);
+  t.ok(stdout.includes('Not deleting the existing GitHub release that was updated'));
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github release (update, no existing release)', async t => {
+  const github = new GitHub(
+    {
+      remoteUrl: 'https://github.com/webpro/release-it-test',
+      tagName: 'v${version}',
+      update: true,
+      publishDraft: true
+    },
+    { log: new Log({ isVerbose: true }) }
+  );
+
+  const release = await github.createRelease({ version: '3.1.0' });
+  mockStdIo.start();
+  await github.publishDraft();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(release.tag_name, 'v3.1.0');
+  t.notOk(stdout.includes('publish draft'));
+  t.equal(githubRequestStub.callCount, 2);
+  t.equal(githubRequestStub.firstCall.lastArg.method, 'GET');
+  t.equal(githubRequestStub.secondCall.lastArg.method, 'POST');
+  t.equal(githubRequestStub.secondCall.lastArg.tag_name, 'v3.1.0');
+  t.equal(github.isUpdated, undefined);
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github release (update, error)', async t => {
+  const github = new GitHub({
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    tagName: 'v${version}',
+    update: true
+  });
+  const repos = {
+    listReleases: sinon.stub().rejects(Object.assign(new Error('Bad credentials'), { status: 401 })),
+    updateRelease: sinon.stub().rejects(Object.assign(new Error('Validation Failed'), { status: 422 }))
+  };
+  sinon.stub(github, 'getGitHubClient').returns({ repos });
+
+  await t.shouldReject(github.createRelease({ version: '3.2.0' }), /401 \(Bad credentials\)/);
+  t.equal(repos.listReleases.callCount, 1);
+
+  await t.shouldReject(
+    github.updateRelease({ id: 1, tag_name: 'v3.2.0' }, { name: 'Release 3.2.0' }),
+    GitHubClientError
+  );
+  t.equal(repos.updateRelease.callCount, 1);
+  t.equal(github.isReleased, undefined);
+  t.end();
+});
+
+test('github release notes template (inline)', async t => {
+  const { config } = prepareCommits();
+  const releaseNotesTemplate =
+    '${version} (${date}): <% commits.forEach(commit => { %>[${commit.subject} by ${commit.author.name}]<% }) %>' +
+    ' ${commits[0].body} ${contributors.map(contributor => contributor.name).join(", ")} ${latestTag}...${tagName}';
+  const github = new GitHub(
+    { remoteUrl: 'https://github.com/webpro/release-it-test', tagName: 'v${version}', releaseNotesTemplate },
+    { config }
+  );
+  const notes = await github.getNotes({ version: '1.1.0' });
+  t.ok(
+    /^1\.1\.0 \(\d{4}-\d{2}-\d{2}\): \[Fix another bug by Jane Doe\]\[Fix bug by John Doe\]\[Add feature by Jane Doe\]/.test(
+      notes
+    )
+  );
+  t.ok(notes.endsWith(' Jane Doe, John Doe v1.0.0...v1.1.0'));
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('github release notes template (file)', async t => {
+  const { config } = prepareCommits();
+  sh.ShellString('## ${version}\n\n${changelog}\n').to('notes.md');
+  const github = new GitHub(
+    { remoteUrl: 'https://github.com/webpro/release-it-test', releaseNotesTemplate: 'notes.md' },
+    { config }
+  );
+  t.equal(await github.getNotes({ version: '1.1.0', changelog: '* Fix bug' }), '## 1.1.0\n\n* Fix bug');
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('github release notes template (default)', async t => {
+  const { config } = prepareCommits();
+  const remoteUrl = 'https://github.com/webpro/release-it-test';
+  const github = new GitHub({ remoteUrl, tagName: 'v${version}', releaseNotesTemplate: true }, { config });
+  const changelog = '* Fix another bug\n* Fix bug\n* Add feature';
+  t.equal(
+    await github.getNotes({ version: '1.1.0', changelog }),
+    [
+      changelog,
+      '',
+      '### Contributors',
+      '',
+      '* Jane Doe',
+      '* John Doe',
+      '',
+      `**Full Changelog**: ${remoteUrl}/compare/v1.0.0...v1.1.0`
+    ].join('\n')
+  );
+  {
+    const notes = await github.getNotes({ version: '1.1.0' });
+    t.ok(
+      /^\* Fix another bug \(\w{7}\)\n\* Fix bug \(\w{7}\)\n\* Add feature \(\w{7}\)\n\n### Contributors/.test(notes)
+    );
+  }
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('github comments on referenced issues', async t => {
+  const { config } = prepareCommits();
+  sh.exec('git commit --allow-empty -m "Fix login (#12)" -m "Closes #7, see webpro/other#99"');
+  sh.exec('git commit --allow-empty -m "Merge pull request #13 from webpro/feature" -m "Fixes #12"');
+  githubRequestStub.resetHistory();
+
+  const github = new GitHub(
+    {
+      remoteUrl: 'https://github.com/webpro/release-it-test',
+      tagName: 'v${version}',
+      comments: true,
+      releasedLabel: 'released'
+    },
+    { config }
+  );
+
+  await github.createRelease({ version: '1.1.0' });
+  const issues = await github.commentOnIssues({ version: '1.1.0' });
+
+  t.deepEqual(issues, [7, 12, 13]);
+  const requests = githubRequestStub.getCalls().map(call => call.lastArg);
+  t.equal(requests.length, 7);
+  const comments = requests.filter(request => request.url === '/repos/:owner/:repo/issues/:number/comments');
+  const labels = requests.filter(request => request.url === '/repos/:owner/:repo/issues/:number/labels');
+  t.deepEqual(comments.map(request => request.number), [7, 12, 13]);
+  t.equal(
+    comments[0].body,
+    'This has been released in [Release 1.1.0](https://github.com/webpro/release-it-test/releases/tag/v1.1.0).'
+  );
+  t.deepEqual(labels.map(request => request.number), [7, 12, 13]);
+  t.deepEqual(labels[0].labels, ['released']);
+
+  sh.pushd('-q', cwd);
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github comments on referenced issues (dry run)', async t => {
+  const { config } = prepareCommits();
+  sh.exec('git commit --allow-empty -m "Fix login (#12)"');
+
+  const github = new GitHub(
+    {
+      remoteUrl: 'https://github.com/webpro/release-it-test',
+      tagName: 'v${version}',
+      comments: true,
+      commentTemplate: 'Released in ${tagName}',
+      isDryRun: true
+    },
+    { config }
+  );
+
+  mockStdIo.start();
+  await github.createRelease({ version: '1.1.0' });
+  const issues = await github.commentOnIssues({ version: '1.1.0' });
+  mockStdIo.end();
+
+  t.deepEqual(issues, [12]);
+  t.equal(githubRequestStub.callCount, 0);
+
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('github milestone check (validateRelease)', async t => {
+  const config = new Config();
+  config.setRuntimeOptions({ version: '4.0.0' });
+  const options = {
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    milestone: 'v${version}',
+    checkMilestone: true
+  };
+  const github = new GitHub(options, { config });
+
+  await t.shouldReject(github.validateRelease(), /Could not find the GitHub milestone "v4.0.0"/);
+
+  const url = '/repos/:owner/:repo/milestones';
+  githubRequestMock(null, { url, method: 'POST', title: 'v4.0.0', open_issues: 2 });
+  await t.shouldReject(
+    github.validateRelease(),
+    /The GitHub milestone "v4.0.0" has 2 open issue\(s\) or pull request\(s\)/
+  );
+
+  config.setRuntimeOptions({ version: '4.0.1' });
+  githubRequestMock(null, { url, method: 'POST', title: 'v4.0.1' });
+  await github.validateRelease();
+  t.pass('milestone v4.0.1 has no open issues');
+
+  t.equal(new GitHub(Object.assign({}, options, { checkMilestone: false }), { config }).validateRelease(), undefined);
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github close milestone and create next milestone', async t => {
+  const github = new GitHub({
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    milestone: 'v${version}',
+    closeMilestone: true,
+    nextMilestone: 'v${nextMinor}'
+  });
+
+  githubRequestMock(null, { url: '/repos/:owner/:repo/milestones', method: 'POST', title: 'v5.0.0' });
+  githubRequestStub.resetHistory();
+
+  await github.updateMilestones({ version: '5.0.0' });
+
+  const requests = githubRequestStub.getCalls().map(call => call.lastArg);
+  const [close] = requests.filter(request => request.method === 'PATCH');
+  const [create] = requests.filter(request => request.method === 'POST');
+  t.equal(close.url, '/repos/:owner/:repo/milestones/:number');
+  t.equal(close.state, 'closed');
+  t.equal(create.title, 'v5.1.0');
+  t.equal(github.closedMilestone, close.number);
+  t.ok(github.createdMilestone);
+
+  githubRequestStub.resetHistory();
+  mockStdIo.start();
+  await github.rollback();
+  const { stdout } = mockStdIo.end();
+
+  const undo = githubRequestStub.getCalls().map(call => call.lastArg);
+  t.equal(undo.length, 2);
+  t.equal(undo[0].method, 'PATCH');
+  t.equal(undo[0].state, 'open');
+  t.equal(undo[1].method, 'DELETE');
+  t.ok(stdout.includes('octokit issues#deleteMilestone'));
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github close milestone and create next milestone (retry)', async t => {
+  const github = new GitHub({
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    milestone: 'v${version}',
+    closeMilestone: true,
+    nextMilestone: 'v${nextMinor}'
+  });
+  const serverError = Object.assign(new Error('Bad Gateway'), { status: 502 });
+  const issues = {
+    listMilestonesForRepo: sinon.stub().resolves({ data: [{ title: 'v5.0.0', number: 1, state: 'open' }] }),
+    updateMilestone: sinon.stub().resolves(),
+    createMilestone: sinon.stub().resolves({ data: { number: 2 } })
+  };
+  issues.updateMilestone.onFirstCall().rejects(serverError);
+  issues.createMilestone.onFirstCall().rejects(serverError);
+  sinon.stub(github, 'getGitHubClient').returns({ issues });
+
+  await github.updateMilestones({ version: '5.0.0' });
+
+  t.equal(issues.updateMilestone.callCount, 2);
+  t.equal(issues.createMilestone.callCount, 2);
+  t.equal(github.closedMilestone, 1);
+  t.equal(github.createdMilestone, 2);
+  t.end();
+});
+
+test('github create next milestone (error)', async t => {
+  const github = new GitHub({ remoteUrl: 'https://github.com/webpro/release-it-test', nextMilestone: 'v${nextMinor}' });
+  const validationError = Object.assign(new Error('Validation Failed'), { status: 422 });
+  const issues = {
+    listMilestonesForRepo: sinon.stub().resolves({ data: [] }),
+    createMilestone: sinon.stub().rejects(validationError)
+  };
+  sinon.stub(github, 'getGitHubClient').returns({ issues });
+
+  try {
+    await github.updateMilestones({ version: '5.0.0' });
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(err instanceof GitHubClientError);
+    t.equal(err.message, '422 (Validation Failed)');
+  }
+  t.equal(issues.createMilestone.callCount, 1);
+  t.equal(github.createdMilestone, undefined);
+  t.end();
+});
+
+test('github upload assets with checksums', async t => {
+  const github = new GitHub(
+    {
+      remoteUrl: 'https://github.com/webpro/release-it-test',
+      tagName: '${version}',
+      assets: path.resolve('test/resources', 'file*'),
+      checksums: ['sha256', 'sha512']
+    },
+    { log: new Log({ isInteractive: true }) }
+  );
+
+  await github.createRelease({ version: '6.0.0' });
+  githubRequestStub.resetHistory();
+
+  mockStdIo.start();
+  const uploads = await github.uploadAssets();
+  const { stdout } = mockStdIo.end();
+
+  t.deepEqual(uploads.map(upload => upload.name), ['file1', 'file2', 'SHA256SUMS', 'SHA512SUMS']);
+  t.equal(githubRequestStub.callCount, 4);
+  t.ok(stdout.includes('c147efcfc2d7ea666a9e4f5187b115c90903f0fc896a56df9a6ef5d8f3fc9f31  file1'));
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
+
+test('github upload assets with checksums and signatures (dry run)', async t => {
+  const shell = { run: sinon.stub().resolves() };
+  const github = new GitHub(
+    {
+      remoteUrl: 'https://github.com/webpro/release-it-test',
+      tagName: '${version}',
+      assets: path.resolve('test/resources', 'file1'),
+      checksums: true,
+      sign: true,
+      signingKey: 'ABCDEF01',
+      isDryRun: true
+    },
+    { shell, log: new Log({ isDryRun: true }) }
+  );
+
+  mockStdIo.start();
+  await github.createRelease({ version: '6.0.1' });
+  await github.uploadAssets();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(githubRequestStub.callCount, 0);
+  t.equal(shell.run.callCount, 2);
+  t.ok(
+    /^gpg --batch --yes --armor --detach-sign --local-user ABCDEF01 --output \S+file1\.asc \S+file1$/.test(
+      shell.run.firstCall.args[0]
+    )
+  );
+  t.ok(shell.run.secondCall.args[0].endsWith('SHA256SUMS'));
+  for (const name of ['file1', 'SHA256SUMS', 'file1.asc', 'SHA256SUMS.asc']) {
+    t.ok(stdout.includes(`octokit releases#uploadAsset ${name}`));
+  }
+  const [, signature] = shell.run.firstCall.args[0].match(/--output (\S+)/);
+  t.notOk(fs.existsSync(path.dirname(signature)));
+
+  t.end();
+});
+
+test('github upload npm package tarball', async t => {
+  const npmClient = { pack: sinon.stub().resolves(path.resolve('test/resources/file2')) };
+  const github = new GitHub({
+    remoteUrl: 'https://github.com/webpro/release-it-test',
+    tagName: '${version}',
+    assets: path.resolve('test/resources', 'file1'),
+    npmPack: true,
+    npmClient
+  });
+
+  await github.createRelease({ version: '7.0.0' });
+  const uploads = await github.uploadAssets();
+
+  t.equal(npmClient.pack.callCount, 1);
+  t.deepEqual(uploads.map(upload => upload.name), ['file1', 'file2']);
+
+  GitHubApiStub.resetHistory();
+  githubRequestStub.resetHistory();
+  t.end();
+});
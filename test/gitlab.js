@@ -1,13 +1,27 @@
+const path = require('path');
 const test = require('tape');
 const sinon = require('sinon');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
 const proxyquire = require('proxyquire');
+const HttpsProxyAgent = require('https-proxy-agent');
+const mockStdIo = require('mock-stdio');
+const Log = require('../lib/log');
+const Config = require('../lib/config');
 
-const gotStub = sinon.stub().resolves({
+const gotResponse = {
   body: {
     tag_name: '',
     description: ''
   }
-});
+};
+
+const gotStub = sinon.stub().resolves(gotResponse);
+
+const resetGotStub = () => {
+  gotStub.reset();
+  gotStub.resolves(gotResponse);
+};
 
 const GitLab = proxyquire('../lib/gitlab', {
   got: gotStub
@@ -23,6 +37,22 @@ test('validate', async t => {
   t.end();
 });
 
+const commitHash = 'fedcba9876543210fedcba9876543210fedcba98';
+const getCommitHash = sinon.stub(GitLab.prototype, 'getCommitHash').resolves(commitHash);
+
+test('gitlab getCommitHash', async t => {
+  const run = sinon.stub().resolves('abcdef0');
+  const gitlab = new GitLab({ remoteUrl: 'https://gitlab.com/webpro/release-it-test', shell: { run } });
+  t.equal(await getCommitHash.wrappedMethod.call(gitlab, 'v2.0.1'), 'abcdef0');
+  t.equal(run.firstCall.args[0], 'git rev-list -n 1 v2.0.1');
+
+  gitlab.shell.run = sinon.stub().resolves('1234567');
+  gitlab.shell.run.onFirstCall().rejects(new Error("fatal: ambiguous argument 'v2.0.1'"));
+  t.equal(await getCommitHash.wrappedMethod.call(gitlab, 'v2.0.1'), '1234567');
+  t.equal(gitlab.shell.run.secondCall.args[0], 'git rev-parse HEAD');
+  t.end();
+});
+
 test('gitlab release', async t => {
   const remoteUrl = 'https://gitlab.com/webpro/release-it-test';
   const version = '2.0.1';
@@ -32,23 +62,32 @@ test('gitlab release', async t => {
     release: true,
     releaseNotes: 'echo Custom notes',
     remoteUrl,
-    tagName
+    tagName,
+    milestones: ['${version}', 'Sprint 42']
   });
 
-  const releaseResult = await gitlab.release({
+  const clock = sinon.useFakeTimers({ now: Date.UTC(2019, 5, 1), toFake: ['Date'] });
+  const releaseResult = await gitlab.createRelease({
     version
   });
+  clock.restore();
 
   t.equal(releaseResult.tag_name, '');
   t.equal(releaseResult.description, '');
-  t.equal(gitlab.releaseUrl, 'https://gitlab.com/webpro/release-it-test/tags/v2.0.1');
+  t.equal(gitlab.releaseUrl, 'https://gitlab.com/webpro/release-it-test/-/releases/v2.0.1');
   t.equal(gitlab.isReleased, true);
 
-  const url = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test/repository/tags/v2.0.1/release';
+  const url = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test/releases';
   t.equal(gotStub.callCount, 1);
   t.equal(gotStub.firstCall.args[0], url);
+  t.equal(gotStub.firstCall.args[1].method, 'POST');
   t.deepEqual(gotStub.firstCall.args[1].body, {
-    description: 'Custom notes'
+    name: 'Release 2.0.1',
+    tag_name: 'v2.0.1',
+    description: 'Custom notes',
+    ref: commitHash,
+    released_at: '2019-06-01T00:00:00.000Z',
+    milestones: ['2.0.1', 'Sprint 42']
   });
 
   gotStub.resetHistory();
@@ -61,18 +100,368 @@ test('gitlab release (self-managed)', async t => {
     tagName: '${version}'
   });
 
-  await gitlab.release({
+  gotStub.onFirstCall().resolves({ body: { _links: { self: 'https://gitlab.example.org/user/repo/-/releases/1' } } });
+
+  await gitlab.createRelease({
     version: '1',
     changelog: 'My default changelog'
   });
 
+  const url = 'https://gitlab.example.org/api/v4/projects/user%2Frepo/releases';
+  t.equal(gotStub.callCount, 1);
+  t.equal(gotStub.firstCall.args[0], url);
+  t.equal(gotStub.firstCall.args[1].body.description, 'My default changelog');
+  t.equal(gotStub.firstCall.args[1].body.milestones, undefined);
+  t.equal(gitlab.releaseUrl, 'https://gitlab.example.org/user/repo/-/releases/1');
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab release (host, origin, certificate authority, proxy and timeout)', async t => {
+  {
+    const gitlab = new GitLab({ remoteUrl: 'git@gitlab.example.org:user/repo.git', host: 'gitlab-api.example.org' });
+    t.equal(gitlab.apiUrl, 'https://gitlab-api.example.org/api/v4/projects/user%2Frepo');
+  }
+
+  const gitlab = new GitLab({
+    remoteUrl: 'git@gitlab.example.org:user/repo.git',
+    tagName: '${version}',
+    host: 'gitlab-api.example.org',
+    origin: 'http://gitlab-api.example.org:8080/',
+    certificateAuthorityFile: path.resolve('test/resources', 'file1'),
+    proxy: 'http://proxy.example.org:3128',
+    timeout: 5000
+  });
+
+  await gitlab.createRelease({ version: '1.0.1' });
+  gitlab.setState({ isReleased: true });
+  await gitlab.rollback();
+
+  t.equal(gotStub.callCount, 2);
+  for (const call of gotStub.getCalls()) {
+    const [url, options] = call.args;
+    t.ok(url.startsWith('http://gitlab-api.example.org:8080/api/v4/projects/user%2Frepo/'));
+    t.equal(options.ca.toString(), 'file1');
+    t.ok(options.agent instanceof HttpsProxyAgent);
+    t.equal(options.agent.proxy.host, 'proxy.example.org');
+    t.equal(options.timeout, 5000);
+  }
+  t.equal(gitlab.releaseUrl, 'http://gitlab-api.example.org:8080/user/repo/-/releases/1.0.1');
+
+  gotStub.resetHistory();
+  t.end();
+});
+
+test('gitlab release (update existing)', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: '${version}'
+  });
+
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Conflict'), { statusCode: 409 }));
+
+  await gitlab.createRelease({ version: '2.0.1', changelog: 'Updated changelog' });
+
+  const url = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test/releases/2.0.1';
+  t.equal(gotStub.callCount, 2);
+  t.equal(gotStub.secondCall.args[0], url);
+  t.equal(gotStub.secondCall.args[1].method, 'PUT');
+  t.equal(gotStub.secondCall.args[1].body.name, 'Release 2.0.1');
+  t.equal(gotStub.secondCall.args[1].body.description, 'Updated changelog');
+  t.equal(gotStub.secondCall.args[1].body.tag_name, undefined);
+  t.equal(gitlab.isUpdated, true);
+
+  mockStdIo.start();
+  await gitlab.rollback();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(gotStub.callCount, 2);
+  t.ok(stdout.includes('Not deleting the existing GitLab release'));
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab release (legacy fallback)', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'https://gitlab.example.org/user/repo',
+    tagName: '${version}'
+  });
+
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+
+  await gitlab.createRelease({ version: '1', changelog: 'My default changelog' });
+
   const url = 'https://gitlab.example.org/api/v4/projects/user%2Frepo/repository/tags/1/release';
+  t.equal(gotStub.callCount, 2);
+  t.equal(gotStub.secondCall.args[0], url);
+  t.deepEqual(gotStub.secondCall.args[1].body, {
+    description: 'My default changelog'
+  });
+  t.equal(gitlab.releaseUrl, 'https://gitlab.example.org/user/repo/tags/1');
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab upload assets and links (legacy fallback)', async t => {
+  const log = sinon.createStubInstance(Log);
+  const gitlab = new GitLab({
+    release: true,
+    remoteUrl: 'https://gitlab.example.org/user/repo',
+    tagName: '${version}',
+    assets: path.resolve('test/resources', 'file1'),
+    links: [{ name: 'Docs', url: 'https://example.org/docs' }],
+    log
+  });
+
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+
+  await gitlab.createRelease({ version: '2.0.1' });
+  gotStub.resetHistory();
+
+  await gitlab.uploadAssets();
+  await gitlab.addLinks({ version: '2.0.1' });
+
+  t.equal(gotStub.callCount, 0);
+  t.equal(log.warn.callCount, 2);
+  t.ok(/Skipping GitLab release assets/.test(log.warn.firstCall.args[0]));
+  t.ok(/Skipping GitLab release links/.test(log.warn.secondCall.args[0]));
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab upload assets (origin)', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'git@gitlab.example.org:user/repo.git',
+    tagName: '${version}',
+    origin: 'http://gitlab.example.org:8080'
+  });
+  gitlab.tagName = '1.0.1';
+
+  gotStub.onFirstCall().resolves({ body: JSON.stringify({ url: '/uploads/abc123/file1' }) });
+  await gitlab.uploadAsset(path.resolve('test/resources', 'file1'));
+  t.equal(gotStub.secondCall.args[1].body.url, 'http://gitlab.example.org:8080/user/repo/uploads/abc123/file1');
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab release (encode tag name)', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: 'pkg/${version}'
+  });
+  const apiUrl = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test';
+
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Conflict'), { statusCode: 409 }));
+  await gitlab.createRelease({ version: '2.0.1' });
+  t.equal(gotStub.secondCall.args[0], `${apiUrl}/releases/pkg%2F2.0.1`);
+
+  resetGotStub();
+  await gitlab.createLink({ name: 'file1', url: 'https://example.org/file1' });
+  t.equal(gotStub.firstCall.args[0], `${apiUrl}/releases/pkg%2F2.0.1/assets/links`);
+
+  resetGotStub();
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+  await gitlab.createRelease({ version: '2.0.1' });
+  t.equal(gotStub.secondCall.args[0], `${apiUrl}/repository/tags/pkg%2F2.0.1/release`);
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab release (error)', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: '${version}'
+  });
+
+  gotStub.onFirstCall().rejects(Object.assign(new Error('Unauthorized'), { statusCode: 401 }));
+
+  try {
+    await gitlab.createRelease({ version: '2.0.1' });
+    t.fail('should have thrown');
+  } catch (err) {
+    t.equal(err.statusCode, 401);
+  }
   t.equal(gotStub.callCount, 1);
+  t.equal(gitlab.isReleased, undefined);
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab upload assets', async t => {
+  const gitlab = new GitLab({
+    release: true,
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: '${version}',
+    assets: path.resolve('test/resources', 'file1')
+  });
+
+  await gitlab.createRelease({ version: '2.0.1' });
+  gotStub.resetHistory();
+  gotStub.onFirstCall().resolves({ body: JSON.stringify({ url: '/uploads/abc123/file1' }) });
+
+  await gitlab.uploadAssets();
+
+  const apiUrl = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test';
+  t.equal(gotStub.callCount, 2);
+  t.equal(gotStub.firstCall.args[0], `${apiUrl}/uploads`);
+  const { method, body, headers } = gotStub.firstCall.args[1];
+  t.equal(method, 'POST');
+  t.equal(headers['content-type'], 'multipart/form-data; boundary=release-it-gitlab-upload');
+  t.ok(body.toString().includes('Content-Disposition: form-data; name="file"; filename="file1"'));
+  t.equal(gotStub.secondCall.args[0], `${apiUrl}/releases/2.0.1/assets/links`);
+  t.deepEqual(gotStub.secondCall.args[1].body, {
+    name: 'file1',
+    url: 'https://gitlab.com/webpro/release-it-test/uploads/abc123/file1'
+  });
+
+  resetGotStub();
+  t.end();
+});
+
+test('gitlab upload npm package tarball (dry run)', async t => {
+  const npmClient = { pack: sinon.stub().resolves('/tmp/release-it-abc/pkg-2.0.1.tgz') };
+  const gitlab = new GitLab(
+    {
+      release: true,
+      remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+      tagName: '${version}',
+      npmPack: true,
+      npmClient,
+      isDryRun: true
+    },
+    { log: new Log({ isDryRun: true }) }
+  );
+
+  mockStdIo.start();
+  await gitlab.createRelease({ version: '2.0.1' });
+  await gitlab.uploadAssets();
+  const { stdout } = mockStdIo.end();
+
+  t.equal(npmClient.pack.callCount, 1);
+  t.equal(gotStub.callCount, 0);
+  t.ok(stdout.includes('gitlab releases#uploadAsset pkg-2.0.1.tgz'));
+  t.end();
+});
+
+test('gitlab release links', async t => {
+  const gitlab = new GitLab({
+    release: true,
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: 'v${version}',
+    links: [
+      { name: 'Docker image', url: 'https://hub.docker.com/r/webpro/release-it-test/tags?name=${version}' },
+      { name: 'Docs (${tagName})', url: 'https://example.org/docs' }
+    ]
+  });
+
+  await gitlab.createRelease({ version: '2.0.1' });
+  gotStub.resetHistory();
+
+  await gitlab.addLinks({ version: '2.0.1' });
+
+  const url = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test/releases/v2.0.1/assets/links';
+  t.equal(gotStub.callCount, 2);
   t.equal(gotStub.firstCall.args[0], url);
   t.deepEqual(gotStub.firstCall.args[1].body, {
-    description: 'My default changelog'
+    name: 'Docker image',
+    url: 'https://hub.docker.com/r/webpro/release-it-test/tags?name=2.0.1'
+  });
+  t.deepEqual(gotStub.secondCall.args[1].body, { name: 'Docs (v2.0.1)', url: 'https://example.org/docs' });
+
+  gotStub.resetHistory();
+  t.end();
+});
+
+test('gitlab upload assets and links (dry run)', async t => {
+  const gitlab = new GitLab({
+    release: true,
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: '${version}',
+    assets: path.resolve('test/resources', 'file1'),
+    links: [{ name: 'Docs', url: 'https://example.org/docs' }],
+    isDryRun: true
   });
 
+  mockStdIo.start();
+  await gitlab.createRelease({ version: '2.0.1' });
+  await gitlab.uploadAssets();
+  await gitlab.addLinks({ version: '2.0.1' });
+  const { stdout } = mockStdIo.end();
+
+  t.equal(gotStub.callCount, 0);
+  t.equal(stdout.match(/not executed in dry run/g).length, 3);
+  t.end();
+});
+
+test('gitlab rollback', async t => {
+  const gitlab = new GitLab({
+    remoteUrl: 'https://gitlab.com/webpro/release-it-test',
+    tagName: 'v${version}'
+  });
+
+  await gitlab.rollback();
+  t.equal(gotStub.callCount, 0);
+
+  await gitlab.createRelease({
+    version: '2.0.2'
+  });
+
+  mockStdIo.start();
+  await gitlab.rollback();
+  const { stdout } = mockStdIo.end();
+
+  const url = 'https://gitlab.com/api/v4/projects/webpro%2Frelease-it-test/releases/v2.0.2';
+  t.equal(gotStub.callCount, 2);
+  t.equal(gotStub.secondCall.args[0], url);
+  t.equal(gotStub.secondCall.args[1].method, 'DELETE');
+  t.ok(
+    stdout.includes('$ gitlab releases#deleteRelease (https://gitlab.com/webpro/release-it-test/-/releases/v2.0.2)')
+  );
+  t.equal(gitlab.isReleased, false);
+
+  gotStub.resetHistory();
+  t.end();
+});
+
+test('gitlab release notes template (default)', async t => {
+  const cwd = path.resolve(process.cwd());
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  sh.exec('git init');
+  sh.exec('git commit --allow-empty -m "Initial commit"');
+  sh.exec('git tag 1.0.0');
+  sh.exec('git commit --allow-empty -m "Add feature" --author="Jane Doe <jane@example.org>"');
+  sh.exec('git commit --allow-empty -m "Fix bug" --author="Jane Doe <jane@example.org>"');
+  const config = new Config();
+  config.setRuntimeOptions({ latestTag: '1.0.0' });
+  const remoteUrl = 'https://gitlab.com/webpro/release-it-test';
+  const gitlab = new GitLab(
+    { release: true, remoteUrl, tagName: '${version}', releaseNotesTemplate: true },
+    { config }
+  );
+  await gitlab.createRelease({ version: '1.0.1', changelog: '* Fix bug\n* Add feature' });
+  t.equal(
+    gotStub.firstCall.args[1].body.description,
+    [
+      '* Fix bug',
+      '* Add feature',
+      '',
+      '### Contributors',
+      '',
+      '* Jane Doe (2 commits)',
+      '',
+      `**Full Changelog**: ${remoteUrl}/-/compare/1.0.0...1.0.1`
+    ].join('\n')
+  );
   gotStub.resetHistory();
+  sh.pushd('-q', cwd);
   t.end();
 });
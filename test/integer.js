@@ -0,0 +1,33 @@
+const test = require('tape');
+const Integer = require('../lib/integer');
+
+test('valid', t => {
+  const scheme = new Integer();
+  t.equal(scheme.valid('42'), '42');
+  t.equal(scheme.valid('v42'), '42');
+  t.equal(scheme.valid('1.0'), null);
+  t.end();
+});
+
+test('compare', t => {
+  const scheme = new Integer();
+  t.ok(scheme.gt('10', '9'));
+  t.ok(scheme.gte('9', '9'));
+  t.notOk(scheme.gt('9', '10'));
+  t.end();
+});
+
+test('inc', t => {
+  const scheme = new Integer();
+  t.equal(scheme.inc('41', 'build'), '42');
+  t.equal(scheme.inc('41', 'major'), '42');
+  t.equal(scheme.inc('41', 'prerelease'), null);
+  t.end();
+});
+
+test('coerce', t => {
+  const scheme = new Integer();
+  t.equal(scheme.coerce('build-007'), '7');
+  t.equal(scheme.coerce('foo'), null);
+  t.end();
+});
@@ -1,10 +1,19 @@
+const _ = require('lodash');
 const uuid = require('uuid/v4');
 const releases = {};
+const milestones = {};
+
+let releaseId = 1;
+let milestoneNumber = 1;
 
 module.exports = (request, options) => {
   const { url } = options;
-  if (url === '/repos/:owner/:repo/releases') {
-    const id = uuid();
+  if (url === '/repos/:owner/:repo/releases' && options.method === 'GET') {
+    return {
+      data: Object.values(releases)
+    };
+  } else if (url === '/repos/:owner/:repo/releases') {
+    const id = releaseId++;
     const { tag_name, name, body, prerelease, draft, owner, repo } = options;
     releases[id] = {
       id,
@@ -13,6 +22,7 @@ module.exports = (request, options) => {
       body,
       prerelease,
       draft,
+      assets: [],
       upload_url: `https://uploads.github.com/repos/${owner}/${repo}/releases/${id}/assets{?name,label}`,
       html_url: `https://github.com/${owner}/${repo}/releases/tag/${tag_name}`
     };
@@ -26,17 +36,63 @@ module.exports = (request, options) => {
     const assetId = uuid();
     const { name } = options;
     const [, owner, repo, id] = url.match(/\/repos\/([^/]+)\/([^/]+)\/releases\/([^/]+).*/);
-    const { tag_name } = releases[id];
-    return {
-      data: {
-        id: assetId,
-        url: `https://api.github.com/repos/${owner}/${repo}/releases/assets/${assetId}`,
-        name,
-        label: '',
-        state: 'uploaded',
-        size: options.headers['content-length'],
-        browser_download_url: `https://github.com/${owner}/${repo}/releases/download/${tag_name}/${name}`
-      }
+    const { tag_name, assets } = releases[id];
+    const asset = {
+      id: assetId,
+      url: `https://api.github.com/repos/${owner}/${repo}/releases/assets/${assetId}`,
+      name,
+      label: '',
+      state: 'uploaded',
+      size: options.headers['content-length'],
+      browser_download_url: `https://github.com/${owner}/${repo}/releases/download/${tag_name}/${name}`
+    };
+    assets.push(asset);
+    return new Promise((resolve, reject) => {
+      const { file } = options;
+      if (!file || !file.resume) return resolve({ data: asset });
+      file
+        .on('error', reject)
+        .on('end', () => resolve({ data: asset }))
+        .resume();
+    });
+  } else if (url === '/repos/:owner/:repo/releases/:release_id' && options.method === 'PATCH') {
+    const release = releases[options.release_id];
+    Object.assign(release, _.pick(options, ['name', 'body', 'prerelease', 'draft']));
+    return {
+      data: release
+    };
+  } else if (url === '/repos/:owner/:repo/releases/assets/:asset_id' && options.method === 'DELETE') {
+    Object.values(releases).forEach(release => {
+      release.assets = release.assets.filter(asset => asset.id !== options.asset_id);
+    });
+    return {
+      status: 204
+    };
+  } else if (url === '/repos/:owner/:repo/milestones' && options.method === 'GET') {
+    return {
+      data: Object.values(milestones)
+    };
+  } else if (url === '/repos/:owner/:repo/milestones' && options.method === 'POST') {
+    const number = milestoneNumber++;
+    const { title, state = 'open', open_issues = 0 } = options;
+    milestones[number] = { number, title, state, open_issues };
+    return {
+      data: milestones[number]
+    };
+  } else if (url === '/repos/:owner/:repo/milestones/:number' && options.method === 'PATCH') {
+    Object.assign(milestones[options.number], _.pick(options, ['title', 'state']));
+    return {
+      data: milestones[options.number]
+    };
+  } else if (url === '/repos/:owner/:repo/milestones/:number' && options.method === 'DELETE') {
+    delete milestones[options.number];
+    return {
+      status: 204
+    };
+  } else if (url === '/repos/:owner/:repo/releases/:release_id' && options.method === 'DELETE') {
+    delete releases[options.release_id];
+    return {
+      status: 204
     };
   } else {
     return {};
@@ -0,0 +1,35 @@
+const Plugin = require('../../lib/plugin');
+
+class MyPlugin extends Plugin {
+  init() {
+    MyPlugin.calls.push(['init', this.options.foo]);
+  }
+  validate() {
+    MyPlugin.calls.push(['validate']);
+  }
+  validateRelease() {
+    const { version } = this.config.getOptions();
+    MyPlugin.calls.push(['validateRelease', version]);
+  }
+  getLatestVersion() {
+    MyPlugin.calls.push(['getLatestVersion']);
+    return this.options.latestVersion;
+  }
+  bump(version) {
+    MyPlugin.calls.push(['bump', version]);
+  }
+  beforeRelease() {
+    MyPlugin.calls.push(['beforeRelease']);
+  }
+  release() {
+    const { version } = this.config.getOptions();
+    MyPlugin.calls.push(['release', version]);
+  }
+  afterRelease() {
+    MyPlugin.calls.push(['afterRelease']);
+  }
+}
+
+MyPlugin.calls = [];
+
+module.exports = MyPlugin;
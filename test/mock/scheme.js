@@ -0,0 +1,22 @@
+const { Scheme } = require('../../lib/index');
+
+class EvenScheme extends Scheme {
+  get releaseTypes() {
+    return ['next'];
+  }
+
+  parse(version) {
+    const number = Number(version);
+    return Number.isInteger(number) && number % 2 === 0 ? { number, preRelease: null } : null;
+  }
+
+  compare(a, b) {
+    return Math.sign(Number(a) - Number(b));
+  }
+
+  inc(version, type) {
+    return type === 'next' ? String(Number(version) + 2) : null;
+  }
+}
+
+module.exports = EvenScheme;
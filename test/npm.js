@@ -1,7 +1,15 @@
+const fs = require('fs');
+const path = require('path');
 const test = require('tape');
 const sinon = require('sinon');
+const { EOL } = require('os');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
+const Shell = require('../lib/shell');
 const npm = require('../lib/npm');
 
+const cwd = path.resolve(process.cwd());
+
 test('getPackageUrl', t => {
   const npmClient = new npm({ name: 'my-cool-package' });
   t.equal(npmClient.getPackageUrl(), 'https://www.npmjs.com/package/my-cool-package');
@@ -64,3 +72,678 @@ test('publish (scoped)', async t => {
   t.equal(run.firstCall.args[0].trim(), 'npm publish . --tag beta --access public');
   t.end();
 });
+
+test('pack (and publish the tarball)', async t => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  sh.ShellString('{"name":"@scoped/pkg","version":"1.2.3"}').to('package.json');
+  const npmClient = new npm({ name: '@scoped/pkg' });
+
+  const tarball = await npmClient.pack();
+  t.equal(path.basename(tarball), 'scoped-pkg-1.2.3.tgz');
+  t.ok(fs.existsSync(tarball));
+  t.notOk(fs.existsSync('scoped-pkg-1.2.3.tgz'));
+  t.equal(await npmClient.pack(), tarball);
+
+  const run = sinon.stub().resolves();
+  npmClient.shell = { run };
+  await npmClient.publish();
+  t.equal(run.firstCall.args[0].trim(), `npm publish ${tarball} --tag latest`);
+
+  npmClient.afterRelease();
+  t.notOk(fs.existsSync(path.dirname(tarball)));
+
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('pack (remove the temporary directory on failure)', async t => {
+  const mkdtempSync = sinon.spy(fs, 'mkdtempSync');
+  const run = sinon.stub().rejects(new Error('npm ERR! prepack script failed'));
+  const npmClient = new npm({ name: 'pkg', shell: { run } });
+  try {
+    await npmClient.pack();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/prepack script failed/.test(err.message));
+  }
+  t.notOk(fs.existsSync(mkdtempSync.firstCall.returnValue));
+  mkdtempSync.restore();
+  t.end();
+});
+
+test('rollback', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: 'pkg',
+    config: { getOptions: () => ({ version: '1.0.1', latestVersion: '1.0.0' }) },
+    shell: {
+      run
+    }
+  });
+  await npmClient.rollback();
+  t.equal(run.callCount, 0);
+  await npmClient.publish();
+  await npmClient.rollback();
+  t.equal(run.callCount, 3);
+  t.equal(run.secondCall.args[0], 'npm dist-tag add pkg@1.0.0 latest');
+  t.equal(run.thirdCall.args[0], 'npm deprecate pkg@1.0.1 "Release 1.0.1 was rolled back"');
+  t.end();
+});
+
+test('rollback (pre-release tag)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: 'pkg',
+    config: { getOptions: () => ({ version: '1.1.0-beta.0', latestVersion: '1.0.0' }) },
+    shell: {
+      run
+    }
+  });
+  await npmClient.publish({ tag: 'beta' });
+  await npmClient.rollback();
+  t.equal(run.secondCall.args[0], 'npm dist-tag rm pkg beta');
+  t.equal(run.thirdCall.args[0], 'npm deprecate pkg@1.1.0-beta.0 "Release 1.1.0-beta.0 was rolled back"');
+  t.end();
+});
+
+test('getPackageUrl (registries)', t => {
+  const npmClient = new npm({ name: '@webpro/pkg', config: { getOptions: () => ({ version: '1.0.1' }) } });
+  t.equal(
+    npmClient.getPackageUrl({ registry: 'https://registry.npmjs.org/' }),
+    'https://www.npmjs.com/package/@webpro/pkg'
+  );
+  t.equal(npmClient.getPackageUrl({ registry: 'http://localhost:4873/' }), 'http://localhost:4873/@webpro/pkg');
+  t.equal(
+    npmClient.getPackageUrl({
+      registry: 'https://npm.pkg.github.com',
+      packageUrl: 'https://github.com/webpro/pkg/packages?version=${version}'
+    }),
+    'https://github.com/webpro/pkg/packages?version=1.0.1'
+  );
+  t.end();
+});
+
+test('getRegistryArgs', t => {
+  const npmClient = new npm({ name: '@webpro/pkg' });
+  t.equal(npmClient.getRegistryArgs(), '');
+  t.equal(npmClient.getRegistryArgs({ registry: 'http://localhost:4873' }), '--registry http://localhost:4873');
+  t.equal(
+    npmClient.getRegistryArgs({ registry: 'https://npm.pkg.github.com/', tokenRef: 'GITHUB_TOKEN', scope: 'webpro' }),
+    '--@webpro:registry=https://npm.pkg.github.com/ --//npm.pkg.github.com/:_authToken=$GITHUB_TOKEN'
+  );
+  t.end();
+});
+
+test('validate (registry token)', async t => {
+  const registries = [{ registry: 'https://npm.example.org', tokenRef: 'MY_NPM_TOKEN' }];
+  const npmClient = new npm({ name: 'pkg', publish: true, registries, skipChecks: true });
+  delete process.env.MY_NPM_TOKEN;
+  try {
+    await npmClient.validate();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/Environment variable "MY_NPM_TOKEN" is required to publish to https:\/\/npm\.example\.org/.test(err.message));
+  }
+  process.env.MY_NPM_TOKEN = '123';
+  await npmClient.validate();
+  t.pass('should not throw');
+  delete process.env.MY_NPM_TOKEN;
+  t.end();
+});
+
+test('publish (multiple registries)', async t => {
+  const run = sinon.stub().resolves();
+  const log = { log: sinon.spy(), warn: sinon.spy() };
+  const npmClient = new npm({
+    name: '@webpro/pkg',
+    access: 'public',
+    registries: [
+      { registry: 'https://registry.npmjs.org/' },
+      { registry: 'http://localhost:4873', tokenRef: 'VERDACCIO_TOKEN', tag: 'next' },
+      { registry: 'https://npm.pkg.github.com', tokenRef: 'GITHUB_TOKEN', scope: '@webpro' }
+    ],
+    log,
+    shell: {
+      run
+    }
+  });
+  await npmClient.publishAll({ version: '1.0.0' });
+  t.equal(run.callCount, 3);
+  t.equal(run.firstCall.args[0], 'npm publish . --tag latest --registry https://registry.npmjs.org/ --access public');
+  t.equal(
+    run.secondCall.args[0],
+    'npm publish . --tag next --registry http://localhost:4873 --//localhost:4873/:_authToken=$VERDACCIO_TOKEN --access public'
+  );
+  t.equal(
+    run.thirdCall.args[0],
+    'npm publish . --tag latest --@webpro:registry=https://npm.pkg.github.com --//npm.pkg.github.com/:_authToken=$GITHUB_TOKEN --access public'
+  );
+  t.deepEqual(npmClient.published.map(({ tag }) => tag), ['latest', 'next', 'latest']);
+
+  npmClient.afterRelease();
+  t.deepEqual(log.log.args.map(args => args[0]), [
+    '🔗 https://www.npmjs.com/package/@webpro/pkg',
+    '🔗 http://localhost:4873/@webpro/pkg',
+    '🔗 https://npm.pkg.github.com/@webpro/pkg'
+  ]);
+  t.end();
+});
+
+test('publish (multiple registries, failure)', async t => {
+  const run = sinon.stub().resolves();
+  run.onSecondCall().rejects(new Error('npm ERR! 503 Service Unavailable'));
+  const log = { log: sinon.spy(), warn: sinon.spy() };
+  const registries = [
+    { registry: 'https://registry.npmjs.org/' },
+    { registry: 'http://localhost:4873' },
+    { registry: 'https://npm.pkg.github.com' }
+  ];
+  const npmClient = new npm({ name: 'pkg', registries, log, shell: { run } });
+  try {
+    await npmClient.publishAll({ version: '1.0.0' });
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/503/.test(err.message));
+  }
+  t.equal(run.callCount, 2);
+  t.equal(
+    log.warn.firstCall.args[0],
+    [
+      'npm publish summary:',
+      'https://registry.npmjs.org/: published',
+      'http://localhost:4873: failed',
+      'https://npm.pkg.github.com: not published'
+    ].join(EOL)
+  );
+
+  const rerun = sinon.stub().resolves();
+  npmClient.shell = { run: rerun };
+  await npmClient.publishAll({ version: '1.0.0' });
+  t.equal(rerun.callCount, 2);
+  t.ok(log.log.calledWith('Skipping npm publish to https://registry.npmjs.org/ (already done)'));
+  t.equal(rerun.firstCall.args[0], 'npm publish . --tag latest --registry http://localhost:4873');
+  t.end();
+});
+
+test('rollback (multiple registries)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: 'pkg',
+    registries: [{ registry: 'http://localhost:4873', tokenRef: 'VERDACCIO_TOKEN' }, { tag: 'next' }],
+    config: { getOptions: () => ({ version: '1.0.1', latestVersion: '1.0.0' }) },
+    shell: {
+      run
+    }
+  });
+  await npmClient.publishAll({ version: '1.0.1' });
+  await npmClient.rollback();
+  t.equal(run.callCount, 6);
+  t.equal(
+    run.args[2][0],
+    'npm dist-tag add pkg@1.0.0 latest --registry http://localhost:4873 --//localhost:4873/:_authToken=$VERDACCIO_TOKEN'
+  );
+  t.equal(
+    run.args[3][0],
+    'npm deprecate pkg@1.0.1 "Release 1.0.1 was rolled back" --registry http://localhost:4873 --//localhost:4873/:_authToken=$VERDACCIO_TOKEN'
+  );
+  t.equal(run.args[4][0], 'npm dist-tag rm pkg next');
+  t.end();
+});
+
+test('getPackageManager', t => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+
+  t.equal(new npm().getPackageManager(), 'npm');
+  t.equal(new npm({ packageManager: 'pnpm' }).getPackageManager(), 'pnpm');
+  t.equal(new npm({ config: { localPackageManifest: { packageManager: 'pnpm@8.6.0' } } }).getPackageManager(), 'pnpm');
+  t.equal(new npm({ config: { localPackageManifest: { packageManager: 'yarn@3.6.1' } } }).getPackageManager(), 'yarn');
+  t.equal(new npm({ config: { localPackageManifest: { packageManager: 'yarn@1.22.19' } } }).getPackageManager(), 'npm');
+
+  sh.touch('yarn.lock');
+  t.equal(new npm().getPackageManager(), 'npm');
+  sh.touch('.yarnrc.yml');
+  t.equal(new npm().getPackageManager(), 'yarn');
+  sh.touch('pnpm-lock.yaml');
+  t.equal(new npm().getPackageManager(), 'pnpm');
+
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('publish (pnpm)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: '@scoped/pkg',
+    access: 'public',
+    otp: '123456',
+    packageManager: 'pnpm',
+    isDryRun: true,
+    shell: {
+      run
+    }
+  });
+  await npmClient.publish({ tag: 'beta' });
+  t.equal(run.firstCall.args[0], 'pnpm publish . --tag beta --access public --otp 123456 --no-git-checks');
+  t.deepEqual(run.firstCall.args[1], Shell.writes);
+  t.end();
+});
+
+test('publish (yarn)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: '@scoped/pkg',
+    access: 'public',
+    packageManager: 'yarn',
+    publishPath: 'packages/pkg',
+    isDryRun: true,
+    shell: {
+      run
+    }
+  });
+  await npmClient.publish({ target: { registry: 'http://localhost:4873', tokenRef: 'VERDACCIO_TOKEN' } });
+  t.equal(
+    run.firstCall.args[0],
+    'YARN_NPM_PUBLISH_REGISTRY=http://localhost:4873 YARN_NPM_AUTH_TOKEN=$VERDACCIO_TOKEN yarn workspace @scoped/pkg npm publish --tag latest --access public'
+  );
+  t.deepEqual(run.firstCall.args[1], Shell.writes);
+  t.end();
+});
+
+test('publish (dry run)', async t => {
+  const exec = sinon.spy(sh, 'exec');
+  const log = { exec: sinon.spy(), dry: sinon.spy() };
+  const shell = new Shell({ isDryRun: true, log });
+  for (const packageManager of ['npm', 'pnpm', 'yarn']) {
+    const npmClient = new npm({ name: 'pkg', packageManager, isDryRun: true, shell });
+    await npmClient.publish();
+  }
+  t.equal(exec.callCount, 0);
+  t.deepEqual(log.exec.args.map(args => args[0]), [
+    'npm publish . --tag latest',
+    'pnpm publish . --tag latest --no-git-checks',
+    'yarn npm publish --tag latest'
+  ]);
+  t.equal(log.dry.callCount, 3);
+  exec.restore();
+  t.end();
+});
+
+test('pack (yarn)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: '@scoped/pkg',
+    packageManager: 'yarn',
+    config: { getOptions: () => ({ version: '1.2.3' }) },
+    shell: {
+      run
+    }
+  });
+  const tarball = await npmClient.pack();
+  t.equal(path.basename(tarball), 'scoped-pkg-1.2.3.tgz');
+  t.equal(run.firstCall.args[0], `yarn pack --out ${tarball}`);
+  t.equal(npmClient.tarball, undefined);
+  t.end();
+});
+
+test('pack (yarn, publish)', async t => {
+  const run = sinon.stub().resolves();
+  const log = { verbose: sinon.spy(), warn: sinon.spy() };
+  const npmClient = new npm({
+    name: 'pkg',
+    publish: true,
+    packageManager: 'yarn',
+    config: { getOptions: () => ({ version: '1.2.3' }) },
+    shell: {
+      run
+    },
+    log
+  });
+  await npmClient.pack();
+  t.equal(log.warn.callCount, 1);
+  t.ok(/Yarn can not publish the uploaded tarball/.test(log.warn.firstCall.args[0]));
+  await npmClient.publish();
+  t.equal(run.lastCall.args[0], 'yarn npm publish --tag latest');
+  npmClient.removeTarball();
+  t.end();
+});
+
+test('checkPackage', async t => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', path.join(tmp, 'dist'));
+  sh.pushd('-q', tmp);
+  const manifest = { name: 'pkg', version: '1.0.0', main: 'dist/index', bin: { pkg: './dist/cli.js' } };
+  sh.ShellString(JSON.stringify(manifest)).to('package.json');
+  sh.ShellString('module.exports = {};').to('dist/index.js');
+  sh.ShellString('#!/usr/bin/env node').to('dist/cli.js');
+  const log = { info: sinon.spy(), warn: sinon.spy(), exec: sinon.spy() };
+  const npmClient = new npm({ name: 'pkg', denyFiles: ['.env'], maxPackageSize: '10 kB', log });
+
+  await npmClient.checkPackage();
+  t.ok(log.info.firstCall.args[0].includes('Package contents:'));
+  t.ok(log.info.firstCall.args[0].includes('dist/cli.js'));
+
+  sh.ShellString('SECRET=1').to('.env');
+  sh.rm('dist/cli.js');
+  try {
+    await npmClient.checkPackage();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/"bin" points to dist\/cli\.js, which is not in the package/.test(err.message));
+    t.ok(/\.env is denied/.test(err.message));
+    t.notOk(/"main"/.test(err.message));
+  }
+
+  sh.pushd('-q', cwd);
+  t.end();
+});
+
+test('checkPackage (deny files)', async t => {
+  const contents = {
+    size: 300,
+    files: [{ path: 'package.json', size: 100 }, { path: 'config/.env', size: 100 }, { path: 'secret.txt', size: 100 }]
+  };
+  const run = sinon.stub().resolves(`[${JSON.stringify(contents)}]`);
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.ShellString('{"name":"pkg","version":"1.0.0"}').to(path.join(tmp, 'package.json'));
+  const log = { info: sinon.spy(), warn: sinon.spy() };
+  const check = async denyFiles => {
+    const npmClient = new npm({ name: 'pkg', publishPath: tmp, denyFiles, log, shell: { run } });
+    try {
+      await npmClient.checkPackage();
+      return '';
+    } catch (err) {
+      return err.message;
+    }
+  };
+
+  const defaultMessage = await check(null);
+  t.ok(/config\/\.env is denied/.test(defaultMessage));
+  t.notOk(/secret\.txt/.test(defaultMessage));
+
+  const message = await check(['secret.txt']);
+  t.ok(/secret\.txt is denied/.test(message));
+  t.notOk(/\.env/.test(message));
+
+  t.equal(await check([]), '');
+  t.end();
+});
+
+test('checkPackage (allow, exports and size)', async t => {
+  const contents = {
+    size: 2048,
+    files: [{ path: 'package.json', size: 100 }, { path: 'README.md', size: 100 }, { path: 'lib/index.js', size: 100 }]
+  };
+  const run = sinon.stub().resolves(`> prepack${EOL}[${JSON.stringify(contents)}]`);
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  const manifest = {
+    name: 'pkg',
+    version: '1.0.0',
+    types: './index.d.ts',
+    exports: { '.': { import: './lib/index.mjs', require: './lib/index.js' }, './lib/*': './lib/*.js' }
+  };
+  sh.ShellString(JSON.stringify(manifest)).to(path.join(tmp, 'package.json'));
+  const log = { info: sinon.spy(), warn: sinon.spy() };
+  const npmClient = new npm({
+    name: 'pkg',
+    publishPath: tmp,
+    allowFiles: 'dist/**',
+    maxPackageSize: 1000,
+    log,
+    shell: { run }
+  });
+
+  try {
+    await npmClient.checkPackage();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.equal(run.firstCall.args[0], `npm pack ${tmp} --dry-run --json`);
+    t.equal(
+      err.message
+        .split(EOL)
+        .slice(0, -1)
+        .join(EOL),
+      [
+        'The npm package did not pass the checks:',
+        '- "types" points to index.d.ts, which is not in the package',
+        '- "exports" points to lib/index.mjs, which is not in the package',
+        '- lib/index.js is not allowed',
+        '- Package size (2.0kB) exceeds the maximum of 1000'
+      ].join(EOL)
+    );
+  }
+  t.end();
+});
+
+test('validateRelease (check package)', async t => {
+  const npmClient = new npm({ name: 'pkg', publish: true, skipChecks: true, checkPackage: true });
+  const checkPackage = sinon.stub(npmClient, 'checkPackage').resolves();
+  await npmClient.validateRelease();
+  t.equal(checkPackage.callCount, 1);
+  npmClient.options.private = true;
+  await npmClient.validateRelease();
+  t.equal(checkPackage.callCount, 1);
+  t.end();
+});
+
+test('publish (protect latest)', async t => {
+  const run = sinon.stub().resolves();
+  run.withArgs('npm view pkg dist-tags --json').resolves('{"latest":"3.1.0","next":"4.0.0-beta.1"}');
+  const log = { warn: sinon.spy() };
+  const npmClient = new npm({
+    name: 'pkg',
+    protectLatest: true,
+    maintenanceTag: 'v${major}-latest',
+    log,
+    shell: {
+      run
+    }
+  });
+  await npmClient.publishAll({ version: '2.4.1' });
+  t.equal(run.secondCall.args[0], 'npm publish . --tag v2-latest');
+  t.equal(log.warn.firstCall.args[0], 'Not moving "latest" from 3.1.0 to 2.4.1 (using "v2-latest" instead)');
+
+  npmClient.published = [];
+  await npmClient.publishAll({ version: '3.2.0' });
+  t.equal(run.lastCall.args[0], 'npm publish . --tag latest');
+  t.end();
+});
+
+test('release (dist-tags, non-semver versions)', async t => {
+  const run = sinon.stub().resolves();
+  run.withArgs('npm view pkg dist-tags --json').resolves('{"latest":"1.2.3.4","beta":"1.0.0-beta.1"}');
+  const npmClient = new npm({
+    name: 'pkg',
+    distTags: ['v${major}.${minor}-latest'],
+    protectLatest: true,
+    removePreReleaseTags: true,
+    shell: {
+      run
+    }
+  });
+  t.deepEqual(npmClient.getDistTagContext('2020.1'), {
+    version: '2020.1',
+    major: '2020',
+    minor: '1',
+    preReleaseId: undefined
+  });
+  t.deepEqual(npmClient.getDistTagContext('7'), {
+    version: '7',
+    major: '7',
+    minor: undefined,
+    preReleaseId: undefined
+  });
+
+  await npmClient.publishAll({ version: '1.2.3.5' });
+  t.equal(run.secondCall.args[0], 'npm publish . --tag latest');
+  const changes = await npmClient.getDistTagChanges({ version: '1.2.3.5' });
+  t.deepEqual(changes, [{ target: { tag: 'latest' }, add: ['v1.2-latest'], remove: {} }]);
+  t.end();
+});
+
+test('release (dist-tags)', async t => {
+  const run = sinon.stub().resolves();
+  run
+    .withArgs('npm view pkg dist-tags --json')
+    .resolves('{"latest":"2.0.0","next":"3.0.0-rc.1","beta":"3.0.0-beta.4","alpha":"3.1.0-alpha.0"}');
+  const log = { info: sinon.spy(), warn: sinon.spy() };
+  const npmClient = new npm({
+    name: 'pkg',
+    publish: true,
+    distTags: ['next', 'v${major}-latest'],
+    removePreReleaseTags: true,
+    config: { getOptions: () => ({ version: '3.0.0' }) },
+    spinner: { show: ({ task }) => task() },
+    log,
+    shell: {
+      run
+    }
+  });
+  await npmClient.release();
+
+  const commands = run.args.map(args => args[0]);
+  t.deepEqual(commands, [
+    'npm publish . --tag latest',
+    'npm view pkg dist-tags --json',
+    'npm dist-tag add pkg@3.0.0 next',
+    'npm dist-tag add pkg@3.0.0 v3-latest',
+    'npm dist-tag rm pkg beta'
+  ]);
+  t.ok(log.info.firstCall.args[0].includes(['+ next', '+ v3-latest', '- beta (3.0.0-beta.4)'].join(EOL)));
+
+  run.resetHistory();
+  await npmClient.rollback();
+  t.deepEqual(run.args.map(args => args[0]).slice(0, 3), [
+    'npm dist-tag rm pkg next',
+    'npm dist-tag rm pkg v3-latest',
+    'npm dist-tag add pkg@3.0.0-beta.4 beta'
+  ]);
+  t.end();
+});
+
+test('release (no dist-tag changes)', async t => {
+  const run = sinon.stub().resolves();
+  const npmClient = new npm({
+    name: 'pkg',
+    publish: true,
+    removePreReleaseTags: true,
+    config: { getOptions: () => ({ version: '3.0.0-beta.5', isPreRelease: true }) },
+    spinner: { show: ({ task }) => task() },
+    shell: {
+      run
+    }
+  });
+  await npmClient.release();
+  t.deepEqual(run.args.map(args => args[0]), ['npm publish . --tag beta']);
+  t.end();
+});
+
+test('validate (registry checks)', async t => {
+  const run = sinon.stub().rejects('npm ERR! code E404');
+  run.withArgs('npm whoami').resolves('john');
+  run.withArgs('npm view pkg versions --json').resolves('["1.0.0","1.0.1"]');
+  run.withArgs('npm access ls-collaborators pkg').resolves('{"john":"read-write","jane":"read-only"}');
+  const npmClient = new npm({ name: 'pkg', publish: true, shell: { run } });
+  await npmClient.validate();
+  t.deepEqual(run.args.map(args => args[0]), [
+    'npm whoami',
+    'npm view pkg versions --json',
+    'npm --version',
+    'npm access ls-collaborators pkg'
+  ]);
+  t.end();
+});
+
+test('validate (registry checks, scoped registry and npm v9)', async t => {
+  const run = sinon.stub().rejects('npm ERR! code E404');
+  const registryArgs = '--@webpro:registry=https://npm.pkg.github.com';
+  run.withArgs('npm whoami --registry https://npm.pkg.github.com').resolves('john');
+  run.withArgs(`npm view @webpro/pkg versions --json ${registryArgs}`).resolves('["1.0.0"]');
+  run.withArgs('npm --version').resolves('9.8.1\n');
+  run.withArgs(`npm access list collaborators @webpro/pkg --json ${registryArgs}`).resolves('{"john":"read-write"}');
+  const registries = [{ registry: 'https://npm.pkg.github.com', scope: 'webpro' }];
+  const npmClient = new npm({ name: '@webpro/pkg', publish: true, registries, shell: { run } });
+  await npmClient.validate();
+  t.deepEqual(run.args.map(args => args[0]), [
+    'npm whoami --registry https://npm.pkg.github.com',
+    `npm view @webpro/pkg versions --json ${registryArgs}`,
+    'npm --version',
+    `npm access list collaborators @webpro/pkg --json ${registryArgs}`
+  ]);
+  t.end();
+});
+
+test('validateRelease (version already published)', async t => {
+  const run = sinon.stub().rejects('npm ERR! code E404');
+  run.withArgs('npm view pkg versions --json').resolves('["1.0.0","1.0.1"]');
+  const options = { version: '1.0.2' };
+  const npmClient = new npm({ name: 'pkg', publish: true, config: { getOptions: () => options }, shell: { run } });
+
+  await npmClient.validateRelease();
+  t.deepEqual(run.args.map(args => args[0]), ['npm view pkg versions --json']);
+
+  options.version = '1.0.1';
+  try {
+    await npmClient.validateRelease();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/Version 1\.0\.1 of pkg is already published to the default registry/.test(err.message));
+    t.equal(run.callCount, 2);
+  }
+
+  npmClient.published = [{}];
+  await npmClient.validateRelease();
+  await new npm({ name: 'pkg', publish: true, skipChecks: true, shell: { run } }).validateRelease();
+  t.equal(run.callCount, 2);
+  t.end();
+});
+
+test('validate (not authenticated)', async t => {
+  const run = sinon.stub().rejects('npm ERR! code ENEEDAUTH');
+  const registries = [{ registry: 'http://localhost:4873' }];
+  const npmClient = new npm({ name: 'pkg', publish: true, registries, shell: { run } });
+  try {
+    await npmClient.validate();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.equal(run.firstCall.args[0], 'npm whoami --registry http://localhost:4873');
+    t.ok(/Not authenticated with http:\/\/localhost:4873/.test(err.message));
+    t.ok(/Please log in with `npm login`/.test(err.message));
+  }
+  t.end();
+});
+
+test('validate (no write access)', async t => {
+  const run = sinon.stub();
+  run.withArgs('npm whoami').resolves('jane');
+  run.withArgs('npm view pkg versions --json').resolves('"1.0.0"');
+  run.withArgs('npm access ls-collaborators pkg').resolves('{"john":"read-write","jane":"read-only"}');
+  const npmClient = new npm({ name: 'pkg', publish: true, shell: { run } });
+  try {
+    await npmClient.validate();
+    t.fail('should have thrown');
+  } catch (err) {
+    t.ok(/User "jane" does not have write access to pkg on the default registry/.test(err.message));
+    t.ok(/npm owner add jane pkg/.test(err.message));
+  }
+  t.end();
+});
+
+test('validate (new package, skip checks)', async t => {
+  const run = sinon.stub().rejects('npm ERR! code E404');
+  run.withArgs('npm whoami').resolves('john');
+  const npmClient = new npm({ name: 'pkg', publish: true, shell: { run } });
+  await npmClient.validate();
+  t.deepEqual(run.args.map(args => args[0]), ['npm whoami', 'npm view pkg versions --json']);
+
+  run.resetHistory();
+  await new npm({ name: 'pkg', publish: true, skipChecks: true, shell: { run } }).validate();
+  await new npm({ name: 'pkg', publish: true, private: true, shell: { run } }).validate();
+  t.equal(run.callCount, 0);
+  t.end();
+});
@@ -0,0 +1,72 @@
+const test = require('tape');
+const PEP440 = require('../lib/pep440');
+
+test('valid', t => {
+  const scheme = new PEP440();
+  t.equal(scheme.valid('1.2.3'), '1.2.3');
+  t.equal(scheme.valid('v1.2'), '1.2');
+  t.equal(scheme.valid('1.2.3rc1'), '1.2.3rc1');
+  t.equal(scheme.valid('1.2.3-alpha.2'), '1.2.3a2');
+  t.equal(scheme.valid('1.2.3.post1'), '1.2.3.post1');
+  t.equal(scheme.valid('1.2.3-1'), '1.2.3.post1');
+  t.equal(scheme.valid('1.2.3.dev0'), '1.2.3.dev0');
+  t.equal(scheme.valid('1!1.2.3'), '1!1.2.3');
+  t.equal(scheme.valid('1.2.3-beta.foo'), null);
+  t.end();
+});
+
+test('prerelease', t => {
+  const scheme = new PEP440();
+  t.deepEqual(scheme.prerelease('1.2.3b4'), ['b', 4]);
+  t.equal(scheme.prerelease('1.2.3'), null);
+  t.end();
+});
+
+test('compare', t => {
+  const scheme = new PEP440();
+  const ordered = [
+    '1.0.dev456',
+    '1.0a1',
+    '1.0a2.dev456',
+    '1.0a12',
+    '1.0b1.dev456',
+    '1.0b2',
+    '1.0b2.post345',
+    '1.0rc1',
+    '1.0',
+    '1.0.post456.dev34',
+    '1.0.post456',
+    '1.1.dev1',
+    '1!0.1'
+  ];
+  for (let i = 1; i < ordered.length; i++) {
+    t.ok(scheme.gt(ordered[i], ordered[i - 1]), `${ordered[i]} > ${ordered[i - 1]}`);
+  }
+  t.equal(scheme.compare('1.0', '1.0.0'), 0);
+  t.end();
+});
+
+test('inc', t => {
+  const scheme = new PEP440();
+  t.equal(scheme.inc('1.2.3', 'micro'), '1.2.4');
+  t.equal(scheme.inc('1.2.3', 'patch'), '1.2.4');
+  t.equal(scheme.inc('1.2.3', 'minor'), '1.3.0');
+  t.equal(scheme.inc('1.2.3', 'major'), '2.0.0');
+  t.equal(scheme.inc('1.2', 'micro'), '1.2.1');
+  t.equal(scheme.inc('1.2.3.post1', 'micro'), '1.2.4');
+  t.end();
+});
+
+test('inc (pre-release)', t => {
+  const scheme = new PEP440();
+  t.equal(scheme.inc('1.2.3', 'premicro'), '1.2.4a0');
+  t.equal(scheme.inc('1.2.3', 'preminor', 'beta'), '1.3.0b0');
+  t.equal(scheme.inc('1.2.3', 'premajor', 'rc'), '2.0.0rc0');
+  t.equal(scheme.inc('1.2.3', 'prerelease', 'alpha'), '1.2.4a0');
+  t.equal(scheme.inc('1.2.4a0', 'prerelease'), '1.2.4a1');
+  t.equal(scheme.inc('1.2.4a1', 'prerelease', 'b'), '1.2.4b0');
+  t.equal(scheme.inc('1.2.4rc1', 'micro'), '1.2.4');
+  t.equal(scheme.inc('2.0.0rc1', 'major'), '2.0.0');
+  t.equal(scheme.inc('1.2.3', 'prerelease', 'canary'), null);
+  t.end();
+});
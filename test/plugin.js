@@ -0,0 +1,25 @@
+const test = require('tape');
+const Plugin = require('../lib/plugin');
+const State = require('../lib/state');
+
+test('setState (merge with the existing state)', t => {
+  const state = new State({ isEnabled: false });
+  const plugin = new Plugin({ namespace: 'github', state });
+  plugin.setState({ isReleased: true, releaseId: 1, releaseUrl: 'a', uploadUrl: 'u' });
+  plugin.setState({ releaseUrl: 'b' });
+  t.deepEqual(plugin.getState(), { isReleased: true, releaseId: 1, releaseUrl: 'b', uploadUrl: 'u' });
+  t.deepEqual(state.get(['plugins', 'github']), plugin.getState());
+  t.end();
+});
+
+test('setState (state prefix)', t => {
+  const state = new State({ isEnabled: false });
+  const plugin = new Plugin({ namespace: 'npm', statePrefix: 'pkg-a', state });
+  const other = new Plugin({ namespace: 'npm', statePrefix: 'pkg-b', state });
+  plugin.setState({ isPublished: true });
+  other.setState({ isPublished: false });
+  plugin.setState({ distTagChanges: [] });
+  t.deepEqual(state.get(['plugins', 'pkg-a.npm']), { isPublished: true, distTagChanges: [] });
+  t.deepEqual(state.get(['plugins', 'pkg-b.npm']), { isPublished: false });
+  t.end();
+});
@@ -0,0 +1,70 @@
+const path = require('path');
+const test = require('tape');
+const sinon = require('sinon');
+const Plugin = require('../lib/plugin');
+const { load, getPlugins, getLatestVersion, lifecycle } = require('../lib/plugins');
+const { PluginNotFoundError } = require('../lib/errors');
+const MyPlugin = require('./mock/plugin');
+
+const pluginPath = path.resolve('test/mock/plugin.js');
+
+test('load (local path)', t => {
+  t.equal(load(pluginPath), MyPlugin);
+  t.equal(load('./test/mock/plugin'), MyPlugin);
+  t.end();
+});
+
+test('load (not found)', t => {
+  t.throws(() => load('release-it-plugin-does-not-exist'), PluginNotFoundError);
+  t.throws(() => load('./does/not/exist'), /Could not load plugin "\.\/does\/not\/exist"/);
+  t.end();
+});
+
+test('getPlugins', t => {
+  const log = {};
+  const [plugin] = getPlugins({ [pluginPath]: { foo: 'bar' } }, { log });
+  t.ok(plugin instanceof MyPlugin);
+  t.ok(plugin instanceof Plugin);
+  t.equal(plugin.namespace, pluginPath);
+  t.equal(plugin.options.foo, 'bar');
+  t.equal(plugin.log, log);
+  t.end();
+});
+
+test('getLatestVersion', async t => {
+  const plugins = [new Plugin(), new MyPlugin({ latestVersion: '1.2.3' }), new MyPlugin({ latestVersion: '2.0.0' })];
+  t.equal(await getLatestVersion(plugins), '1.2.3');
+  t.equal(await getLatestVersion([new Plugin()]), null);
+  t.end();
+});
+
+test('lifecycle', async t => {
+  const plugin = new Plugin();
+  const bump = sinon.spy(plugin, 'bump');
+  await lifecycle([plugin], 'bump', '1.0.0');
+  t.equal(bump.callCount, 1);
+  t.equal(bump.firstCall.args[0], '1.0.0');
+  t.end();
+});
+
+test('plugin step (non-interactive)', async t => {
+  const show = sinon.stub().resolves();
+  const plugin = new Plugin({ spinner: { show } });
+  sinon.stub(plugin, 'isInteractive').get(() => false);
+  const task = () => {};
+  await plugin.step({ enabled: true, task, label: 'My task', prompt: 'myTask' });
+  t.equal(show.callCount, 1);
+  t.deepEqual(show.firstCall.args[0], { enabled: true, task, label: 'My task' });
+  t.end();
+});
+
+test('plugin step (interactive)', async t => {
+  const plugin = new Plugin();
+  sinon.stub(plugin, 'isInteractive').get(() => true);
+  const showPrompt = sinon.stub(plugin, 'showPrompt').resolves();
+  const task = () => {};
+  await plugin.step({ enabled: false, task, label: 'My task', prompt: 'myTask' });
+  t.equal(showPrompt.callCount, 1);
+  t.deepEqual(showPrompt.firstCall.args, ['myTask', task, false]);
+  t.end();
+});
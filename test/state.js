@@ -0,0 +1,84 @@
+const path = require('path');
+const test = require('tape');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
+const { readJSON } = require('./util/index');
+const State = require('../lib/state');
+
+const cwd = process.cwd();
+
+const prepare = () => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+};
+
+const cleanup = () => {
+  sh.pushd('-q', cwd);
+};
+
+test('state (save + load + clear)', async t => {
+  prepare();
+  const state = new State();
+  t.equal(state.exists(), false);
+  t.equal(state.load(), false);
+  state.reset({ context: { version: '1.0.1' } });
+  state.done('git.commit');
+  state.set(['plugins', 'github'], { releaseUrl: 'https://example.org' });
+  t.equal(state.exists(), true);
+  const data = await readJSON('.release-it/state.json');
+  t.deepEqual(data, {
+    steps: { 'git.commit': true },
+    context: { version: '1.0.1' },
+    plugins: { github: { releaseUrl: 'https://example.org' } }
+  });
+  {
+    const state = new State();
+    t.equal(state.load(), true);
+    t.equal(state.get('context.version'), '1.0.1');
+    t.equal(state.get(['plugins', 'github']).releaseUrl, 'https://example.org');
+    t.equal(state.isDone('git.commit'), true);
+    t.equal(state.isDone('git.tag'), false);
+    state.clear();
+    t.equal(state.exists(), false);
+    t.equal(sh.test('-d', '.release-it'), false);
+  }
+  cleanup();
+  t.end();
+});
+
+test('state (disabled)', t => {
+  prepare();
+  const state = new State({ isEnabled: false });
+  state.reset({ context: { version: '1.0.1' } });
+  state.done('git.commit');
+  t.equal(state.isDone('git.commit'), true);
+  t.equal(state.exists(), false);
+  cleanup();
+  t.end();
+});
+
+test('state (git-ignored)', t => {
+  prepare();
+  sh.exec('git init');
+  const state = new State();
+  state.reset({ context: { version: '1.0.1' } });
+  t.equal(sh.exec('git status --porcelain --untracked-files=all').trim(), '');
+  state.clear();
+  t.equal(sh.test('-d', '.release-it'), false);
+  cleanup();
+  t.end();
+});
+
+test('state (keep existing files in the state dir)', t => {
+  prepare();
+  sh.mkdir('-p', '.release-it');
+  sh.ShellString('{}').to('.release-it/config.json');
+  const state = new State();
+  state.reset();
+  t.equal(sh.test('-f', '.release-it/.gitignore'), false);
+  state.clear();
+  t.equal(sh.test('-f', '.release-it/config.json'), true);
+  cleanup();
+  t.end();
+});
@@ -18,7 +18,9 @@ const {
   GitUpstreamError,
   GitHubTokenError,
   InvalidVersionError,
-  DistRepoStageDirError
+  DistRepoStageDirError,
+  PluginNotFoundError,
+  ReleaseStateNotFoundError
 } = require('../lib/errors');
 
 const cwd = process.cwd();
@@ -30,12 +32,21 @@ const GitHubApiStub = sinon.stub().returns(githubApi);
 
 const publishStub = sinon.stub().resolves();
 
+const registryStub = sinon
+  .stub()
+  .callsFake(command =>
+    command.startsWith('npm whoami') ? Promise.resolve('john') : Promise.reject('npm ERR! code E404')
+  );
+
 class shellStub extends shell {
   run(command) {
     if (command.startsWith('npm publish')) {
       this.log.exec(command);
       return publishStub(...arguments);
     }
+    if (/^npm (whoami|view|access)/.test(command)) {
+      return registryStub(...arguments);
+    }
     return super.run(...arguments);
   }
 }
@@ -63,6 +74,7 @@ const cleanup = () => {
   sh.pushd('-q', cwd);
   githubRequestStub.resetHistory();
   publishStub.resetHistory();
+  registryStub.resetHistory();
 };
 
 test('should throw when not a Git repository', async t => {
@@ -263,6 +275,97 @@ test('should run tasks without package.json', async t => {
   t.end();
 });
 
+test('should run lifecycle methods of plugins', async t => {
+  prepare();
+  sh.exec('git tag 1.0.0');
+  const MyPlugin = require('./mock/plugin');
+  MyPlugin.calls = [];
+  mockStdIo.start();
+  await tasks({
+    increment: 'minor',
+    npm: {
+      publish: false
+    },
+    plugins: {
+      [path.resolve(cwd, 'test/mock/plugin.js')]: {
+        foo: 'bar',
+        latestVersion: '1.2.3'
+      }
+    }
+  });
+  const { stdout } = mockStdIo.end();
+  t.ok(stdout.includes('(1.2.3...1.3.0)'));
+  t.deepEqual(MyPlugin.calls, [
+    ['init', 'bar'],
+    ['validate'],
+    ['getLatestVersion'],
+    ['validateRelease', '1.3.0'],
+    ['bump', '1.3.0'],
+    ['beforeRelease'],
+    ['release', '1.3.0'],
+    ['afterRelease']
+  ]);
+  cleanup();
+  t.end();
+});
+
+test('should throw if plugin cannot be found', async t => {
+  prepare();
+  await t.shouldBailOut(
+    tasks({
+      plugins: {
+        'release-it-plugin-does-not-exist': {}
+      }
+    }),
+    PluginNotFoundError,
+    /Could not load plugin "release-it-plugin-does-not-exist"/
+  );
+  cleanup();
+  t.end();
+});
+
+test('should throw if there is no release to continue', async t => {
+  prepare();
+  await t.shouldBailOut(
+    tasks({
+      continue: true
+    }),
+    ReleaseStateNotFoundError,
+    /Could not find the state of a previous release to continue/
+  );
+  cleanup();
+  t.end();
+});
+
+test('should use conventional changelog for release notes and changelog file', async t => {
+  prepare();
+  sh.exec('git tag 1.0.0');
+  gitAdd('line', 'file', 'feat(api): add endpoint');
+  gitAdd('line', 'file', 'fix: crash on start');
+  mockStdIo.start();
+  const { version, changelog } = await tasks({
+    increment: 'conventional:angular',
+    scripts: {
+      changelog: 'conventional:angular'
+    },
+    changelogFile: {
+      write: true
+    },
+    npm: {
+      publish: false
+    }
+  });
+  mockStdIo.end();
+  t.equal(version, '1.1.0');
+  t.ok(
+    /^### Bug Fixes\n\n\* crash on start \w{7}\n\n### Features\n\n\* \*\*api:\*\* add endpoint \w{7}$/.test(changelog)
+  );
+  t.ok(sh.cat('CHANGELOG.md').includes(`## [1.1.0]`));
+  t.ok(sh.cat('CHANGELOG.md').includes(changelog));
+  cleanup();
+  t.end();
+});
+
 test('#', st => {
   const runTasks = proxyquire('../lib/tasks', {
     '@octokit/rest': Object.assign(GitHubApiStub, { '@global': true }),
@@ -392,4 +495,338 @@ test('#', st => {
     cleanup();
     t.end();
   });
+
+  st.test('should upload the npm package tarball and publish the same tarball', async t => {
+    const { bare } = prepare();
+    const pkgName = path.basename(bare);
+    gitAdd(`{"name":"${pkgName}","version":"1.0.0"}`, 'package.json', 'Add package.json');
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    mockStdIo.start();
+    await tasks({
+      github: {
+        release: true,
+        npmPack: true
+      },
+      npm: {
+        name: pkgName,
+        publish: true
+      }
+    });
+    mockStdIo.end();
+
+    const tarballName = `${pkgName}-1.0.1.tgz`;
+    t.equal(githubRequestStub.callCount, 2);
+    t.equal(githubRequestStub.secondCall.lastArg.name, tarballName);
+    const publishCommand = publishStub.firstCall.args[0].trim();
+    t.ok(publishCommand.startsWith('npm publish '));
+    t.ok(publishCommand.includes(`/${tarballName} --tag latest`));
+    t.notOk(sh.test('-e', tarballName));
+
+    cleanup();
+    t.end();
+  });
+
+  st.test('should continue a release that failed partway through', async t => {
+    const { bare, target } = prepare();
+    const repoName = path.basename(bare);
+    const pkgName = path.basename(target);
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    publishStub.onFirstCall().rejects(new Error('npm ERR! 503 Service Unavailable'));
+    const options = {
+      github: {
+        release: true
+      },
+      npm: {
+        name: pkgName,
+        publish: true
+      }
+    };
+    mockStdIo.start();
+    await t.shouldReject(tasks(options), /503 Service Unavailable/);
+    {
+      const { stdout } = mockStdIo.end();
+      t.ok(stdout.includes('Use `release-it --continue` to retry the remaining steps of this release.'));
+    }
+    const state = await readJSON('.release-it/state.json');
+    t.deepEqual(state.steps, {
+      'git.commit': true,
+      'git.tag': true,
+      'git.push': true,
+      'github.release': true
+    });
+    t.equal(state.context.version, '1.0.1');
+    t.equal(githubRequestStub.callCount, 1);
+    t.equal(publishStub.callCount, 1);
+
+    mockStdIo.start();
+    const { latestVersion, version } = await tasks(Object.assign({ continue: true }, options));
+    const { stdout } = mockStdIo.end();
+
+    t.equal(latestVersion, '1.0.0');
+    t.equal(version, '1.0.1');
+    t.equal(githubRequestStub.callCount, 1);
+    t.equal(publishStub.callCount, 2);
+    t.equal(publishStub.secondCall.args[0].trim(), 'npm publish . --tag latest');
+    t.ok(stdout.includes(`continue the release of ${pkgName} (1.0.0...1.0.1)`));
+    t.ok(stdout.includes('Skipping git.commit (already done)'));
+    t.ok(stdout.includes('Skipping github.release (already done)'));
+    t.ok(stdout.includes(`https://github.com/null/${repoName}/releases/tag/1.0.1`));
+    t.ok(stdout.includes(`https://www.npmjs.com/package/${pkgName}`));
+    t.notOk(sh.test('-e', '.release-it/state.json'));
+    {
+      const { stdout } = sh.exec('git log --oneline --grep="Release 1.0.1"');
+      t.equal(stdout.trim().split('\n').length, 1);
+    }
+
+    publishStub.resetBehavior();
+    publishStub.resolves();
+    cleanup();
+    t.end();
+  });
+
+  st.test('should roll back a release that failed partway through', async t => {
+    const { bare } = prepare();
+    const pkgName = path.basename(bare);
+    gitAdd(`{"name":"${pkgName}","version":"1.0.0"}`, 'package.json', 'Add package.json');
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    publishStub.onFirstCall().rejects(new Error('npm ERR! 503 Service Unavailable'));
+    mockStdIo.start();
+    await t.shouldReject(
+      tasks({
+        rollback: true,
+        github: {
+          release: true
+        },
+        npm: {
+          name: pkgName,
+          publish: true
+        }
+      }),
+      /503 Service Unavailable/
+    );
+    const { stdout } = mockStdIo.end();
+
+    t.equal(githubRequestStub.callCount, 2);
+    t.equal(githubRequestStub.secondCall.lastArg.method, 'DELETE');
+    t.ok(stdout.includes('$ octokit releases#deleteRelease'));
+    t.ok(stdout.includes('$ git push --delete origin 1.0.1'));
+    t.ok(stdout.includes('$ git tag --delete 1.0.1'));
+    t.ok(stdout.includes('The release commit has already been pushed'));
+    t.notOk(stdout.includes('release-it --continue'));
+    t.equal(sh.exec('git tag', { cwd: bare }).trim(), '');
+    t.equal(sh.exec('git tag').trim(), '1.0.0');
+    t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Release 1.0.1');
+    t.notOk(sh.test('-e', '.release-it/state.json'));
+
+    publishStub.resetBehavior();
+    publishStub.resolves();
+    cleanup();
+    t.end();
+  });
+
+  st.test('should stop the release before the release commit when the milestone has open issues', async t => {
+    prepare();
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    githubRequestMock(null, { url: '/repos/:owner/:repo/milestones', method: 'POST', title: 'v1.0.1', open_issues: 1 });
+    mockStdIo.start();
+    await t.shouldReject(
+      tasks({
+        github: {
+          release: true,
+          milestone: 'v${version}',
+          checkMilestone: true
+        }
+      }),
+      /The GitHub milestone "v1.0.1" has 1 open issue/
+    );
+    mockStdIo.end();
+
+    t.equal(githubRequestStub.callCount, 1);
+    t.equal(githubRequestStub.firstCall.lastArg.method, 'GET');
+    t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'More file');
+    t.equal(sh.exec('git tag').trim(), '1.0.0');
+
+    cleanup();
+    t.end();
+  });
+
+  st.test('should stop the release before the release commit when the version is already published', async t => {
+    const { bare } = prepare();
+    const pkgName = path.basename(bare);
+    gitAdd(`{"name":"${pkgName}","version":"1.0.0"}`, 'package.json', 'Add package.json');
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    registryStub.withArgs(`npm view ${pkgName} versions --json`).resolves('["1.0.0","1.0.1"]');
+    registryStub.withArgs(`npm access ls-collaborators ${pkgName}`).resolves('{"john":"read-write"}');
+    mockStdIo.start();
+    await t.shouldReject(
+      tasks({
+        npm: {
+          name: pkgName,
+          publish: true
+        }
+      }),
+      new RegExp(`Version 1.0.1 of ${pkgName} is already published`)
+    );
+    mockStdIo.end();
+
+    t.equal(publishStub.callCount, 0);
+    t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'More file');
+    t.equal(sh.exec('git tag').trim(), '1.0.0');
+
+    cleanup();
+    t.end();
+  });
+
+  st.test('should release changed workspaces in dependency order', async t => {
+    const { bare } = prepare();
+    const repoName = path.basename(bare);
+    const writeJSON = (file, data) => sh.ShellString(JSON.stringify(data, null, 2) + EOL).to(file);
+    writeJSON('package.json', { name: 'root', private: true, workspaces: ['packages/*'] });
+    sh.mkdir('-p', ['packages/a', 'packages/b', 'packages/z']);
+    writeJSON('packages/a/package.json', { name: 'pkg-a', version: '2.0.0', dependencies: { 'pkg-z': '^1.0.0' } });
+    writeJSON('packages/b/package.json', { name: 'pkg-b', version: '3.0.0' });
+    writeJSON('packages/z/package.json', { name: 'pkg-z', version: '1.0.0' });
+    sh.exec('git add .');
+    sh.exec('git commit -m "Add packages"');
+    sh.exec('git tag pkg-a@2.0.0');
+    sh.exec('git tag pkg-b@3.0.0');
+    sh.exec('git tag pkg-z@1.0.0');
+    gitAdd('line', 'packages/a/file', 'Change pkg-a');
+    gitAdd('line', 'packages/z/file', 'Change pkg-z');
+    mockStdIo.start();
+    const { packages } = await tasks({
+      workspaces: {
+        release: true
+      },
+      github: {
+        release: true
+      },
+      npm: {
+        publish: true
+      }
+    });
+    const { stdout } = mockStdIo.end();
+
+    t.deepEqual(packages.map(pkg => `${pkg.name}@${pkg.latestVersion}...${pkg.version}`), [
+      'pkg-z@1.0.0...1.0.1',
+      'pkg-a@2.0.0...2.0.1'
+    ]);
+    t.ok(stdout.includes(`Let's release root (pkg-z@1.0.1, pkg-a@2.0.1)`));
+    t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Release pkg-z@1.0.1, pkg-a@2.0.1');
+    t.equal(sh.exec('git tag --points-at HEAD').trim(), `pkg-a@2.0.1${EOL}pkg-z@1.0.1`);
+    t.equal(sh.exec('git tag', { cwd: bare }).trim(), `pkg-a@2.0.1${EOL}pkg-z@1.0.1`);
+
+    const a = await readJSON('packages/a/package.json');
+    const b = await readJSON('packages/b/package.json');
+    const z = await readJSON('packages/z/package.json');
+    t.equal(a.version, '2.0.1');
+    t.deepEqual(a.dependencies, { 'pkg-z': '^1.0.1' });
+    t.equal(b.version, '3.0.0');
+    t.equal(z.version, '1.0.1');
+
+    t.equal(publishStub.callCount, 2);
+    t.equal(publishStub.firstCall.args[0].trim(), 'npm publish packages/z --tag latest');
+    t.equal(publishStub.secondCall.args[0].trim(), 'npm publish packages/a --tag latest');
+
+    t.equal(githubRequestStub.callCount, 2);
+    const [zRelease, aRelease] = githubRequestStub.args.map(args => args[args.length - 1]);
+    t.equal(zRelease.tag_name, 'pkg-z@1.0.1');
+    t.equal(zRelease.name, 'pkg-z@1.0.1');
+    t.ok(zRelease.body.startsWith('* Change pkg-z'));
+    t.notOk(zRelease.body.includes('pkg-a'));
+    t.equal(aRelease.tag_name, 'pkg-a@2.0.1');
+    t.ok(aRelease.body.startsWith('* Change pkg-a'));
+
+    t.ok(stdout.includes(`https://github.com/null/${repoName}/releases/tag/pkg-z@1.0.1`));
+    t.ok(stdout.includes('https://www.npmjs.com/package/pkg-a'));
+
+    cleanup();
+    t.end();
+  });
+
+  st.test('should write the changelog to a file in the release commit', async t => {
+    prepare();
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'file', 'More file');
+    mockStdIo.start();
+    await tasks({
+      changelogFile: {
+        write: true
+      },
+      npm: {
+        publish: false
+      }
+    });
+    mockStdIo.end();
+    const contents = sh.cat('CHANGELOG.md').toString();
+    t.ok(/^## \[1\.0\.1\] - \d{4}-\d{2}-\d{2}$/m.test(contents));
+    t.ok(/^\* More file \(\w{7}\)$/m.test(contents));
+    t.equal(sh.exec('git show --pretty=%s --name-only HEAD').trim(), `Release 1.0.1${EOL}${EOL}CHANGELOG.md`);
+    cleanup();
+    t.end();
+  });
+
+  st.test('should release all workspaces with a fixed version', async t => {
+    const { bare } = prepare();
+    const writeJSON = (file, data) => sh.ShellString(JSON.stringify(data, null, 2) + EOL).to(file);
+    writeJSON('package.json', { name: 'root', version: '1.0.0', private: true, workspaces: ['packages/*'] });
+    sh.mkdir('-p', ['packages/a', 'packages/b', 'packages/z']);
+    writeJSON('packages/a/package.json', { name: 'pkg-a', version: '1.0.0', dependencies: { 'pkg-z': '^1.0.0' } });
+    writeJSON('packages/b/package.json', {
+      name: 'pkg-b',
+      version: '1.0.0',
+      private: true,
+      devDependencies: { 'pkg-a': '1.0.0' }
+    });
+    writeJSON('packages/z/package.json', { name: 'pkg-z', version: '1.0.0' });
+    sh.exec('git add .');
+    sh.exec('git commit -m "Add packages"');
+    sh.exec('git tag 1.0.0');
+    gitAdd('line', 'packages/z/file', 'Change pkg-z');
+    publishStub.onSecondCall().rejects(new Error('npm ERR! 503 Service Unavailable'));
+    mockStdIo.start();
+    await t.shouldReject(
+      tasks({
+        workspaces: {
+          fixed: true
+        },
+        npm: {
+          publish: true
+        }
+      }),
+      /503 Service Unavailable/
+    );
+    const { stdout } = mockStdIo.end();
+
+    t.equal(sh.exec('git log -1 --pretty=%s').trim(), 'Release 1.0.1');
+    t.equal(sh.exec('git tag --points-at HEAD').trim(), '1.0.1');
+    t.equal(sh.exec('git tag', { cwd: bare }).trim(), '1.0.1');
+
+    const root = await readJSON('package.json');
+    const a = await readJSON('packages/a/package.json');
+    const b = await readJSON('packages/b/package.json');
+    const z = await readJSON('packages/z/package.json');
+    t.equal(root.version, '1.0.1');
+    t.equal(a.version, '1.0.1');
+    t.deepEqual(a.dependencies, { 'pkg-z': '^1.0.1' });
+    t.equal(b.version, '1.0.1');
+    t.deepEqual(b.devDependencies, { 'pkg-a': '1.0.1' });
+    t.equal(z.version, '1.0.1');
+
+    t.equal(publishStub.callCount, 2);
+    t.equal(publishStub.firstCall.args[0].trim(), 'npm publish packages/z --tag latest');
+    t.equal(publishStub.secondCall.args[0].trim(), 'npm publish packages/a --tag latest');
+    t.ok(stdout.includes('Published: pkg-z@1.0.1'));
+    t.ok(stdout.includes('Not published: pkg-a@1.0.1'));
+
+    publishStub.resetBehavior();
+    publishStub.resolves();
+    cleanup();
+    t.end();
+  });
 });
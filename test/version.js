@@ -1,5 +1,6 @@
 const test = require('tape');
 const sh = require('shelljs');
+const sinon = require('sinon');
 const mockStdIo = require('mock-stdio');
 const uuid = require('uuid/v4');
 const Version = require('../lib/version');
@@ -228,3 +229,110 @@ test('parse (coerce)', async t => {
   t.ok(/Coerced invalid semver version "2" into "2.0.0"/.test(stdout));
   t.end();
 });
+
+test('setLatestVersion (calver)', t => {
+  const v = new Version({ versioning: 'calver' });
+  v.setLatestVersion({ gitTag: 'v2019.5.1', pkgVersion: '1.0.0' });
+  t.equal(v.latestVersion, '2019.5.1');
+  t.end();
+});
+
+test('bump (calver)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 4, 15), toFake: ['Date'] });
+  const v = new Version({ versioning: 'calver' });
+  v.setLatestVersion({ gitTag: '2019.5.1' });
+  await v.bump({ increment: 'patch' });
+  t.equal(v.version, '2019.5.2');
+  await v.bump({ increment: 'calendar' });
+  t.equal(v.version, '2019.5.2');
+  clock.restore();
+  t.end();
+});
+
+test('bump (calver period rollover)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 5, 1), toFake: ['Date'] });
+  const v = new Version({ versioning: 'calver:YY.0M.MICRO' });
+  v.setLatestVersion({ gitTag: '19.05.4' });
+  await v.bump({ increment: 'calendar' });
+  t.equal(v.version, '19.06.0');
+  clock.restore();
+  t.end();
+});
+
+test('bump (calver pre-release)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 4, 15), toFake: ['Date'] });
+  const v = new Version({ versioning: 'calver', preReleaseId: 'beta' });
+  v.setLatestVersion({ gitTag: '2019.5.1' });
+  await v.bump({ increment: 'calendar', preRelease: true });
+  t.equal(v.version, '2019.5.2-beta.0');
+  t.equal(v.details.isPreRelease, true);
+  clock.restore();
+  t.end();
+});
+
+test('bump (calver pre-release continuation)', async t => {
+  const clock = sinon.useFakeTimers({ now: new Date(2019, 4, 15), toFake: ['Date'] });
+  const v = new Version({ versioning: 'calver', preReleaseId: 'beta' });
+  v.setLatestVersion({ gitTag: '2019.5.2-beta.0' });
+  await v.bump({ increment: 'prerelease', preRelease: true });
+  t.equal(v.version, '2019.5.2-beta.1');
+  t.equal(v.details.isPreReleaseContinuation, true);
+  clock.restore();
+  t.end();
+});
+
+test('bump (calver explicit version)', async t => {
+  const v = new Version({ versioning: 'calver' });
+  v.setLatestVersion({ gitTag: '2019.5.2' });
+  await v.bump({ increment: '2019.6.0' });
+  t.equal(v.version, '2019.6.0');
+  await v.bump({ increment: '2019.4.0' });
+  t.equal(v.version, '2019.6.0');
+  t.end();
+});
+
+test('setLatestVersion (four-part fallback)', t => {
+  const v = new Version({ versioning: 'four-part' });
+  mockStdIo.start();
+  v.setLatestVersion({ gitTag: '1.2.3', pkgVersion: '1.2.3' });
+  const { stdout } = mockStdIo.end();
+  t.equal(v.latestVersion, '0.0.0.0');
+  t.ok(/Latest Git tag \(1.2.3\) is not a valid four-part version/.test(stdout));
+  t.end();
+});
+
+test('bump (four-part)', async t => {
+  const v = new Version({ versioning: 'four-part' });
+  v.setLatestVersion({ gitTag: '1.2.3.4' });
+  await v.bump({ increment: 'revision' });
+  t.equal(v.version, '1.2.3.5');
+  await v.bump({ increment: 'patch' });
+  t.equal(v.version, '1.2.4.0');
+  t.end();
+});
+
+test('bump (pep440 pre-release)', async t => {
+  const v = new Version({ versioning: 'pep440', preReleaseId: 'beta' });
+  v.setLatestVersion({ gitTag: '1.2.3' });
+  await v.bump({ increment: 'minor', preRelease: true });
+  t.equal(v.version, '1.3.0b0');
+  t.equal(v.details.preReleaseId, 'b');
+  t.equal(v.details.isPreRelease, true);
+  t.end();
+});
+
+test('bump (integer)', async t => {
+  const v = new Version({ versioning: 'integer' });
+  v.setLatestVersion({ gitTag: 'v41' });
+  await v.bump({ increment: 'patch' });
+  t.equal(v.version, '42');
+  t.end();
+});
+
+test('bump (recommended conventional w/ scheme)', async t => {
+  const v = new Version({ versioning: 'integer', recommendations });
+  v.setLatestVersion({ gitTag: '41' });
+  await v.bump({ increment: 'conventional:angular' });
+  t.equal(v.version, '42');
+  t.end();
+});
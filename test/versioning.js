@@ -0,0 +1,55 @@
+const test = require('tape');
+const { getScheme, SemVer } = require('../lib/versioning');
+const CalVer = require('../lib/calver');
+const FourPart = require('../lib/four-part');
+const PEP440 = require('../lib/pep440');
+const Integer = require('../lib/integer');
+const { VersionSchemeNotFoundError } = require('../lib/errors');
+
+test('getScheme (default)', t => {
+  const scheme = getScheme();
+  t.ok(scheme instanceof SemVer);
+  t.equal(scheme.name, 'semver');
+  t.end();
+});
+
+test('getScheme (built-in)', t => {
+  t.ok(getScheme('semver') instanceof SemVer);
+  t.ok(getScheme('four-part') instanceof FourPart);
+  t.ok(getScheme('pep440') instanceof PEP440);
+  t.ok(getScheme('integer') instanceof Integer);
+  const calver = getScheme('calver:YY.0W.N');
+  t.ok(calver instanceof CalVer);
+  t.equal(calver.format, 'YY.0W.N');
+  t.end();
+});
+
+test('getScheme (module)', t => {
+  const scheme = getScheme('./test/mock/scheme.js');
+  t.equal(scheme.name, './test/mock/scheme.js');
+  t.equal(scheme.valid('4'), '4');
+  t.equal(scheme.valid('5'), null);
+  t.equal(scheme.inc('4', 'next'), '6');
+  t.ok(scheme.gt('6', '4'));
+  t.deepEqual(scheme.releaseTypes, ['next']);
+  t.end();
+});
+
+test('getScheme (not found)', t => {
+  t.throws(() => getScheme('./not-found.js'), VersionSchemeNotFoundError, /Could not load version scheme/);
+  t.end();
+});
+
+test('SemVer', t => {
+  const scheme = new SemVer();
+  t.equal(scheme.valid('v1.2.3'), '1.2.3');
+  t.equal(scheme.valid('1.2'), null);
+  t.deepEqual(scheme.prerelease('1.2.3-beta.1'), ['beta', 1]);
+  t.ok(scheme.gt('1.2.4', '1.2.3'));
+  t.ok(scheme.gte('1.2.3', '1.2.3'));
+  t.equal(scheme.inc('1.2.3', 'minor'), '1.3.0');
+  t.equal(scheme.inc('1.2.3', 'prepatch', 'alpha'), '1.2.4-alpha.0');
+  t.equal(scheme.coerce('v2'), '2.0.0');
+  t.equal(scheme.normalizeType('patch'), 'patch');
+  t.end();
+});
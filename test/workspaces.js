@@ -0,0 +1,152 @@
+const path = require('path');
+const test = require('tape');
+const sh = require('shelljs');
+const uuid = require('uuid/v4');
+const { gitAdd, readJSON } = require('./util/index');
+const Git = require('../lib/git');
+const Workspaces = require('../lib/workspaces');
+const { WorkspacesNotFoundError } = require('../lib/errors');
+
+const cwd = path.resolve(process.cwd());
+
+const writeJSON = (file, data) => sh.ShellString(JSON.stringify(data, null, 2) + '\n').to(file);
+
+const prepare = () => {
+  const tmp = path.join(cwd, 'tmp', uuid());
+  sh.mkdir('-p', tmp);
+  sh.pushd('-q', tmp);
+  sh.exec('git init');
+  writeJSON('package.json', { name: 'root', private: true, workspaces: ['packages/*'] });
+  sh.mkdir('-p', ['packages/z', 'packages/a', 'packages/b']);
+  writeJSON('packages/z/package.json', { name: 'pkg-z', version: '1.0.0' });
+  writeJSON('packages/a/package.json', { name: 'pkg-a', version: '2.0.0', dependencies: { 'pkg-z': '^1.0.0' } });
+  writeJSON('packages/b/package.json', {
+    name: '@scope/b',
+    version: '0.1.0',
+    private: true,
+    devDependencies: { 'pkg-a': '~2.0.0', 'pkg-z': '*' }
+  });
+  sh.exec('git add .');
+  sh.exec('git commit -m "Add packages"');
+  sh.exec('git tag pkg-z@1.0.0');
+  sh.exec('git tag pkg-a@2.0.0');
+  sh.exec('git tag @scope/b@0.1.0');
+};
+
+const cleanup = () => {
+  sh.pushd('-q', cwd);
+};
+
+const getWorkspaces = () => new Workspaces({ gitClient: new Git() });
+
+test('init', async t => {
+  prepare();
+  gitAdd('line', 'packages/z/file', 'Change pkg-z');
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  workspaces.validate();
+  t.deepEqual(workspaces.packages.map(pkg => [pkg.name, pkg.dir, pkg.latestTag, pkg.isChanged]), [
+    ['pkg-a', 'packages/a', 'pkg-a@2.0.0', false],
+    ['@scope/b', 'packages/b', '@scope/b@0.1.0', false],
+    ['pkg-z', 'packages/z', 'pkg-z@1.0.0', true]
+  ]);
+  t.deepEqual(workspaces.getChangedPackages().map(pkg => pkg.name), ['pkg-z']);
+  t.equal(workspaces.packages[1].isPrivate, true);
+  t.deepEqual(workspaces.packages[1].dependencies, ['pkg-a', 'pkg-z']);
+  cleanup();
+  t.end();
+});
+
+test('init (untagged package)', async t => {
+  prepare();
+  sh.exec('git tag --delete pkg-a@2.0.0');
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  t.deepEqual(workspaces.getChangedPackages().map(pkg => pkg.name), ['pkg-a']);
+  t.equal(workspaces.getTagVersion(workspaces.packages[0]), null);
+  cleanup();
+  t.end();
+});
+
+test('validate (no workspaces)', async t => {
+  prepare();
+  writeJSON('package.json', { name: 'root' });
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  t.throws(() => workspaces.validate(), WorkspacesNotFoundError);
+  cleanup();
+  t.end();
+});
+
+test('getTagName/getTagVersion', t => {
+  const workspaces = getWorkspaces();
+  t.equal(workspaces.getTagName('@scope/b', '1.2.3'), '@scope/b@1.2.3');
+  t.equal(workspaces.getTagVersion({ name: '@scope/b', latestTag: '@scope/b@1.2.3' }), '1.2.3');
+  const prefixed = new Workspaces({ tagName: '${name}-v${version}' });
+  t.equal(prefixed.getTagVersion({ name: 'pkg-a', latestTag: 'pkg-a-v2.0.0' }), '2.0.0');
+  t.end();
+});
+
+test('sort', t => {
+  const workspaces = getWorkspaces();
+  const a = { name: 'pkg-a', dependencies: ['pkg-z'] };
+  const b = { name: '@scope/b', dependencies: ['pkg-a', 'pkg-z'] };
+  const c = { name: 'pkg-c', dependencies: ['lodash'] };
+  const z = { name: 'pkg-z', dependencies: [] };
+  t.deepEqual(workspaces.sort([b, a, c, z]).map(pkg => pkg.name), ['pkg-c', 'pkg-z', 'pkg-a', '@scope/b']);
+  t.end();
+});
+
+test('sort (circular dependencies)', t => {
+  const workspaces = getWorkspaces();
+  const a = { name: 'pkg-a', dependencies: ['pkg-b'] };
+  const b = { name: 'pkg-b', dependencies: ['pkg-a'] };
+  t.deepEqual(workspaces.sort([a, b]).map(pkg => pkg.name), ['pkg-a', 'pkg-b']);
+  t.end();
+});
+
+test('bumpManifests', async t => {
+  prepare();
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  const files = await workspaces.bumpManifests([
+    { name: 'pkg-z', version: '1.1.0' },
+    { name: 'pkg-a', version: '2.0.1' }
+  ]);
+  t.deepEqual(files, ['packages/a/package.json', 'packages/b/package.json', 'packages/z/package.json']);
+  const a = await readJSON('packages/a/package.json');
+  const b = await readJSON('packages/b/package.json');
+  const z = await readJSON('packages/z/package.json');
+  t.equal(a.version, '2.0.1');
+  t.deepEqual(a.dependencies, { 'pkg-z': '^1.1.0' });
+  t.equal(b.version, '0.1.0');
+  t.deepEqual(b.devDependencies, { 'pkg-a': '~2.0.1', 'pkg-z': '*' });
+  t.equal(z.version, '1.1.0');
+  cleanup();
+  t.end();
+});
+
+test('getFixedReleases', async t => {
+  prepare();
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  const releases = workspaces.getFixedReleases('3.0.0');
+  t.deepEqual(releases.map(pkg => `${pkg.name}@${pkg.version}`), ['pkg-a@3.0.0', '@scope/b@3.0.0', 'pkg-z@3.0.0']);
+  t.equal(workspaces.packages[0].version, '2.0.0');
+  cleanup();
+  t.end();
+});
+
+test('getChangelog', async t => {
+  prepare();
+  gitAdd('line', 'packages/z/file', 'Change pkg-z');
+  gitAdd('line', 'packages/a/file', 'Change pkg-a');
+  const workspaces = getWorkspaces();
+  await workspaces.init();
+  const [a, , z] = workspaces.packages;
+  const command = 'git log --pretty=format:"* %s" [REV_RANGE]';
+  t.equal(await workspaces.getChangelog(z, command), '* Change pkg-z');
+  t.equal(await workspaces.getChangelog(a, command), '* Change pkg-a');
+  cleanup();
+  t.end();
+});